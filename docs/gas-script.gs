@@ -17,6 +17,8 @@ function doGet(e) {
       return getSheetData(sheetName);
     } else if (action === 'getAllData') {
       return getAllSheetsData();
+    } else if (action === 'getChanges') {
+      return getChanges(e.parameter.since);
     }
     
     return createResponse({ error: 'Invalid action' }, 400);
@@ -37,6 +39,10 @@ function doPost(e) {
       return appendMemoToSheet(data);
     } else if (action === 'appendMemos') {
       return appendMemosToSheet(data);
+    } else if (action === 'deleteRows') {
+      return deleteRowsFromSheet(data);
+    } else if (action === 'updateRow') {
+      return updateRowInSheet(data);
     }
     
     return createResponse({ error: 'Invalid action' }, 400);
@@ -99,6 +105,58 @@ function getAllSheetsData() {
   return createResponse({ data: allData });
 }
 
+/**
+ * 前回同期以降の変更を取得
+ * since: { シート名: { hash, rowCount } } のJSON文字列
+ * 各シートについて以下のいずれかを返す
+ * - unchanged: 変更なし（データは返さない）
+ * - appended: 前回の行はそのままで末尾に行が追加された（追加行のみ返す）
+ * - full: それ以外の変更（シート全体を返す）
+ */
+function getChanges(sinceParam) {
+  const since = sinceParam ? JSON.parse(sinceParam) : {};
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheets = ss.getSheets();
+  
+  const sheetList = [];
+  const changes = {};
+  
+  sheets.forEach(sheet => {
+    const sheetName = sheet.getName();
+    const data = sheet.getDataRange().getValues();
+    const hash = hashValues(data);
+    const previous = since[sheetName];
+    
+    sheetList.push({
+      title: sheetName,
+      index: sheet.getIndex(),
+      rowCount: sheet.getLastRow(),
+      columnCount: sheet.getLastColumn()
+    });
+    
+    if (previous && previous.hash === hash) {
+      changes[sheetName] = { status: 'unchanged', hash: hash, rowCount: data.length };
+    } else if (previous && previous.rowCount > 0 && data.length > previous.rowCount &&
+               hashValues(data.slice(0, previous.rowCount)) === previous.hash) {
+      changes[sheetName] = { status: 'appended', hash: hash, rowCount: data.length, rows: data.slice(previous.rowCount) };
+    } else {
+      changes[sheetName] = { status: 'full', hash: hash, rowCount: data.length, data: data };
+    }
+  });
+  
+  return createResponse({ sheets: sheetList, changes: changes });
+}
+
+/**
+ * セル値の2次元配列からリビジョン用のハッシュを作成
+ */
+function hashValues(values) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(values), Utilities.Charset.UTF_8);
+  return Utilities.base64Encode(digest);
+}
+
+const MEMO_HEADER = ['作成日時', 'テキスト内容', '画像サイズ', 'エクスポート日時'];
+
 /**
  * メモを1件追加
  */
@@ -112,7 +170,7 @@ function appendMemoToSheet(data) {
   if (!sheet) {
     sheet = ss.insertSheet(sheetName);
     // ヘッダー行を追加
-    sheet.appendRow(['作成日時', 'テキスト内容', '画像サイズ', 'エクスポート日時']);
+    sheet.appendRow(MEMO_HEADER);
   }
   
   // メモデータを追加
@@ -128,32 +186,209 @@ function appendMemoToSheet(data) {
 
 /**
  * メモを複数件追加
+ * requestId: 送信待ちの再送で同じ追加が届いた場合に一度だけ追加するためのID
  */
 function appendMemosToSheet(data) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheetName = data.sheetName || 'メモ';
   
-  let sheet = ss.getSheetByName(sheetName);
+  // 同じIDの再送が同時に届いても二重に追加しないようにロックする
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    if (data.requestId && isProcessedRequest(data.requestId)) {
+      return createResponse({
+        success: true,
+        sheetName: sheetName,
+        count: 0,
+        duplicate: true
+      });
+    }
+    
+    let sheet = ss.getSheetByName(sheetName);
+    
+    // シートが存在しない（または空の）場合は作成
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+    }
+    if (sheet.getLastRow() === 0) {
+      // ヘッダー行を追加（指定がなければメモ用ヘッダー）
+      sheet.appendRow(data.header || MEMO_HEADER);
+    }
+    
+    // メモデータを追加（ヘッダーの指定があれば既存のシートの列名に合わせて並べ替える）
+    let rows = data.rows; // [[作成日時, テキスト, 画像サイズ, エクスポート日時], ...]
+    if (data.header) {
+      const mapped = mapRowsToSheetHeader(sheet, data.header, rows);
+      if (mapped.error) {
+        return createResponse({ error: mapped.error }, 400);
+      }
+      rows = mapped.rows;
+    }
+    rows.forEach(row => {
+      sheet.appendRow(row);
+    });
+    
+    if (data.requestId) {
+      rememberProcessedRequest(data.requestId);
+    }
+    
+    return createResponse({
+      success: true,
+      sheetName: sheetName,
+      count: rows.length,
+      lastRow: sheet.getLastRow()
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * 行をシートの1行目の列名の順に並べ替える（CSVの列の順番がシートと違っても正しい列に入るように）
+ * シートにない列があれば追加しない。データにない列は空欄にする
+ */
+function mapRowsToSheetHeader(sheet, header, rows) {
+  const sheetHeader = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String);
+  const missing = header.filter(column => sheetHeader.indexOf(String(column)) === -1);
+  
+  if (missing.length > 0) {
+    return { error: 'Column not found: ' + missing.join(', ') };
+  }
+  
+  const indexes = sheetHeader.map(column => header.map(String).indexOf(column));
+  return {
+    rows: rows.map(row => indexes.map(index => index === -1 ? '' : row[index]))
+  };
+}
+
+const PROCESSED_REQUESTS_KEY = 'processedRequests';
+const PROCESSED_REQUESTS_LIMIT = 200; // スクリプトプロパティの1件あたりの上限（9KB）に収まる件数
+
+/**
+ * 処理済みの追加のIDか
+ */
+function isProcessedRequest(requestId) {
+  return getProcessedRequests().indexOf(requestId) !== -1;
+}
+
+/**
+ * 追加のIDを処理済みとして記録（古いものから捨てる）
+ */
+function rememberProcessedRequest(requestId) {
+  const requestIds = getProcessedRequests();
+  requestIds.push(requestId);
+  PropertiesService.getScriptProperties().setProperty(
+    PROCESSED_REQUESTS_KEY,
+    JSON.stringify(requestIds.slice(-PROCESSED_REQUESTS_LIMIT))
+  );
+}
+
+function getProcessedRequests() {
+  const stored = PropertiesService.getScriptProperties().getProperty(PROCESSED_REQUESTS_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * 行を削除（重複した行の整理に使用）
+ * rowNumbers: シートの行番号（1行目は見出しなので2以上）
+ * expectedHash: 読み込み時のリビジョン。指定された場合、シートがその後に変更されていれば削除しない
+ */
+function deleteRowsFromSheet(data) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(data.sheetName);
   
-  // シートが存在しない場合は作成
   if (!sheet) {
-    sheet = ss.insertSheet(sheetName);
-    // ヘッダー行を追加
-    sheet.appendRow(['作成日時', 'テキスト内容', '画像サイズ', 'エクスポート日時']);
+    return createResponse({ error: 'Sheet not found: ' + data.sheetName }, 404);
   }
   
-  // メモデータを追加
-  const rows = data.rows; // [[作成日時, テキスト, 画像サイズ, エクスポート日時], ...]
-  rows.forEach(row => {
-    sheet.appendRow(row);
-  });
+  // 確認から削除までの間に他の追加・編集・削除が入らないようにロックする
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
   
-  return createResponse({
-    success: true,
-    sheetName: sheetName,
-    count: rows.length,
-    lastRow: sheet.getLastRow()
-  });
+  try {
+    if (data.expectedHash && hashValues(sheet.getDataRange().getValues()) !== data.expectedHash) {
+      return createResponse({ error: 'シートが更新されています。最新のデータを読み込んでから削除してください' }, 409);
+    }
+    
+    const lastRow = sheet.getLastRow();
+    const rowNumbers = (data.rowNumbers || [])
+      .map(Number)
+      .filter((rowNumber, index, list) => rowNumber >= 2 && rowNumber <= lastRow && list.indexOf(rowNumber) === index)
+      .sort((a, b) => b - a); // 下の行から削除して行番号がずれないようにする
+    
+    rowNumbers.forEach(rowNumber => {
+      sheet.deleteRow(rowNumber);
+    });
+    
+    return createResponse({
+      success: true,
+      sheetName: data.sheetName,
+      deleted: rowNumbers.length
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * 1行のセルを更新（ダッシュボードの詳細画面からの編集に使用）
+ * rowNumber: シートの行番号（1行目は見出しなので2以上）
+ * values: { 列名: 値 } 変更したセルのみ
+ * expectedHash: 読み込み時のリビジョン。指定された場合、シートがその後に変更されていれば更新しない
+ * 更新後のリビジョン（hash）を返す
+ */
+function updateRowInSheet(data) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(data.sheetName);
+  
+  if (!sheet) {
+    return createResponse({ error: 'Sheet not found: ' + data.sheetName }, 404);
+  }
+  
+  // 確認から書き込みまでの間に他の追加・編集・削除が入らないようにロックする
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    if (data.expectedHash && hashValues(sheet.getDataRange().getValues()) !== data.expectedHash) {
+      return createResponse({ error: 'シートが更新されています。最新のデータを読み込んでから編集してください' }, 409);
+    }
+    
+    const rowNumber = Number(data.rowNumber);
+    if (!(rowNumber >= 2 && rowNumber <= sheet.getLastRow())) {
+      return createResponse({ error: 'Row not found: ' + data.rowNumber }, 404);
+    }
+    
+    // 列名から列番号を調べ、すべての列が見つかってから書き込む
+    const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const cells = [];
+    const values = data.values || {};
+    
+    for (const column in values) {
+      const columnIndex = header.indexOf(column);
+      if (columnIndex === -1) {
+        return createResponse({ error: 'Column not found: ' + column }, 404);
+      }
+      cells.push({ column: columnIndex + 1, value: values[column] });
+    }
+    
+    cells.forEach(cell => {
+      sheet.getRange(rowNumber, cell.column).setValue(cell.value);
+    });
+    SpreadsheetApp.flush();
+    
+    return createResponse({
+      success: true,
+      sheetName: data.sheetName,
+      rowNumber: rowNumber,
+      updated: cells.length,
+      hash: hashValues(sheet.getDataRange().getValues())
+    });
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 /**
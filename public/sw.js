@@ -77,3 +77,17 @@ self.addEventListener('fetch', (event) => {
         })
     );
 });
+
+// バックグラウンド同期時（送信待ちのメモ転記を再送）
+self.addEventListener('sync', (event) => {
+    if (event.tag !== 'memo-outbox') {
+        return;
+    }
+
+    // 送信処理は設定を持つページ側で行う
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then((clients) => {
+            clients.forEach((client) => client.postMessage({ type: 'flush-outbox' }));
+        })
+    );
+});
@@ -0,0 +1,63 @@
+/**
+ * 集計カードの設定
+ * シートごとに「どの列で」「件数・合計・サービス時間のどれを」集計するかを端末に保存する
+ */
+
+const STORAGE_KEY = 'care_dashboard_aggregations';
+
+function readAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('集計設定の読み込みに失敗しました:', error);
+        return {};
+    }
+}
+
+/**
+ * シートの集計設定を取得
+ * @param {string} sheetName - シート名
+ * @returns {Array<Object>} - { id, groupBy, fn, field } の配列
+ */
+export function getAggregations(sheetName) {
+    return readAll()[sheetName] || [];
+}
+
+/**
+ * シートに集計を追加
+ * @param {string} sheetName - シート名
+ * @param {Object} definition - { groupBy, fn, field }
+ * @returns {Object} - 追加した集計
+ */
+export function addAggregation(sheetName, definition) {
+    if (!definition.groupBy) {
+        throw new Error('集計する項目を選択してください');
+    }
+    if (definition.fn === 'sum' && !definition.field) {
+        throw new Error('合計する項目を選択してください');
+    }
+
+    const all = readAll();
+    const saved = {
+        id: `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        groupBy: definition.groupBy,
+        fn: ['sum', 'hours'].includes(definition.fn) ? definition.fn : 'count',
+        field: definition.fn === 'sum' ? definition.field : null,
+    };
+
+    all[sheetName] = [...(all[sheetName] || []), saved];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    return saved;
+}
+
+/**
+ * シートの集計を削除
+ * @param {string} sheetName - シート名
+ * @param {string} id - 集計ID
+ */
+export function removeAggregation(sheetName, id) {
+    const all = readAll();
+    all[sheetName] = (all[sheetName] || []).filter(definition => definition.id !== id);
+    if (all[sheetName].length === 0) delete all[sheetName];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
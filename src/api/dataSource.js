@@ -0,0 +1,133 @@
+/**
+ * データソース抽象化レイヤー
+ * 接続方法（GAS / Google Sheets API など）の違いを共通インターフェースの裏に隠す
+ *
+ * データソースは以下のメソッドを持つオブジェクト:
+ * - listSheets(): Promise<Array<{title: string}>> - シート一覧
+ * - fetchAll(onProgress, sheetList): Promise<Object> - シート名をキーとした行オブジェクト配列
+ *   （onProgress(取得済みの行数, 全体の行数) は進み具合を通知できるデータソースのみ呼ぶ。
+ *   sheetList は listSheets() の結果で、渡すとシート一覧を取得し直さない）
+ * - fetchSheet(sheetName, sheetList): Promise<Array<Object>> - 1シート分の行オブジェクト配列
+ *   （sheetList は listSheets() の結果で、渡すとシート一覧を取得し直さない）
+ * - appendRows(sheetName, rows, header, { requestId }): Promise<Object> - 行を追加（シートがなければヘッダー付きで作成）
+ *   （requestId に対応するデータソースは同じIDの追加を一度だけ行う。HTTPの失敗は error.status を持つ）
+ * - testConnection(): Promise<Array> - 接続を確認し、シート一覧を返す
+ *
+ * 差分同期に対応するデータソースは以下も持つ（sync.js を参照）:
+ * - fetchChanges(since): Promise<{sheets, changes}> - 前回のリビジョン以降の変更
+ *
+ * 行の削除・編集に対応するデータソースは以下も持つ:
+ * - deleteRows(sheetName, rowNumbers, { expectedHash }): Promise<{deleted}> - 行番号（1行目は見出し）の行を削除
+ * - updateRow(sheetName, rowNumber, values, { expectedHash }): Promise<{updated, hash}> - 行番号の行のセルを { 列名: 値 } で更新
+ *   （expectedHash のリビジョンからシートが変更されていれば更新しない。hash は更新後のリビジョン）
+ */
+
+import {
+    fetchSheetListViaGAS,
+    fetchSheetDataViaGAS,
+    fetchAllSheetsViaGAS,
+    fetchChangesViaGAS,
+    appendMemosViaGAS,
+    deleteRowsViaGAS,
+    updateRowViaGAS,
+    convertToObjects as convertGasData,
+} from './gasApi.js';
+import { fetchSheetList, fetchAllSheets, fetchSheetRows, convertToObjects } from './sheets.js';
+import { appendRowsWithHeader } from './sheetsWrite.js';
+
+const registry = {};
+
+/**
+ * データソースを登録
+ * @param {string} type - データソース種別
+ * @param {Object} definition - { label, validate(settings), create(settings) }
+ */
+export function registerDataSource(type, definition) {
+    registry[type] = definition;
+}
+
+/**
+ * 設定からデータソース種別を判定
+ * @param {Object} settings - 設定オブジェクト
+ * @returns {string} - データソース種別
+ */
+export function getDataSourceType(settings) {
+    return settings.dataSource || (settings.useGas ? 'gas' : 'sheetsApi');
+}
+
+/**
+ * 設定を検証
+ * @param {Object} settings - 設定オブジェクト
+ * @returns {string|null} - エラーメッセージ（問題なければnull）
+ */
+export function validateDataSourceSettings(settings) {
+    const definition = registry[getDataSourceType(settings)];
+    if (!definition) {
+        return `未対応の接続方法です: ${getDataSourceType(settings)}`;
+    }
+    return definition.validate(settings);
+}
+
+/**
+ * 設定に応じたデータソースを作成
+ * @param {Object} settings - 設定オブジェクト
+ * @returns {Object} - データソース
+ */
+export function createDataSource(settings) {
+    const error = validateDataSourceSettings(settings);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const type = getDataSourceType(settings);
+    return {
+        type,
+        label: registry[type].label,
+        ...registry[type].create(settings),
+    };
+}
+
+// Google Apps Script Web App
+registerDataSource('gas', {
+    label: 'GAS',
+    validate(settings) {
+        return settings.gasUrl ? null : 'GAS Web App URLを入力してください';
+    },
+    create({ gasUrl }) {
+        return {
+            listSheets: () => fetchSheetListViaGAS(gasUrl),
+            fetchAll: () => fetchAllSheetsViaGAS(gasUrl),
+            fetchSheet: async (sheetName) => convertGasData(await fetchSheetDataViaGAS(gasUrl, sheetName)),
+            fetchChanges: (since) => fetchChangesViaGAS(gasUrl, since),
+            appendRows: (sheetName, rows, header, { requestId } = {}) => appendMemosViaGAS(gasUrl, rows, sheetName, header, requestId),
+            deleteRows: (sheetName, rowNumbers, { expectedHash } = {}) => deleteRowsViaGAS(gasUrl, sheetName, rowNumbers, expectedHash),
+            updateRow: (sheetName, rowNumber, values, { expectedHash } = {}) => updateRowViaGAS(gasUrl, sheetName, rowNumber, values, expectedHash),
+            testConnection: () => fetchSheetListViaGAS(gasUrl),
+        };
+    },
+});
+
+// Google Sheets API v4 (APIキー)
+registerDataSource('sheetsApi', {
+    label: 'Sheets API',
+    validate(settings) {
+        return settings.apiKey && settings.spreadsheetId
+            ? null
+            : 'APIキーとスプレッドシートIDを入力してください';
+    },
+    create({ apiKey, spreadsheetId }) {
+        return {
+            listSheets: () => fetchSheetList(apiKey, spreadsheetId),
+            fetchAll: (onProgress, sheetList) => fetchAllSheets(apiKey, spreadsheetId, onProgress, sheetList),
+            fetchSheet: async (sheetName, sheetList) => {
+                // 行数・列数に合わせて取得するためシート一覧から大きさを調べる
+                const sheets = sheetList || await fetchSheetList(apiKey, spreadsheetId);
+                const sheet = sheets.find(item => item.title === sheetName) || { title: sheetName };
+                return convertToObjects(await fetchSheetRows(apiKey, spreadsheetId, sheet));
+            },
+            // APIキーでは二重追加を防げない（送信待ちの再送で同じ行が追加されることがある）
+            appendRows: (sheetName, rows, header) => appendRowsWithHeader(apiKey, spreadsheetId, sheetName, rows, header),
+            testConnection: () => fetchSheetList(apiKey, spreadsheetId),
+        };
+    },
+});
@@ -0,0 +1,125 @@
+/**
+ * データセットキャッシュ (IndexedDB)
+ * オフライン表示用にシートを事業所（接続プロファイル）・シート単位で保存する
+ */
+
+import { initDB, STORES } from './db.js';
+
+// キャッシュ形式のバージョン（形式を変えたら上げる。一致しないキャッシュは破棄）
+const DATASET_VERSION = 2; // 2: 日付・時刻の値を正規化
+
+function datasetKey(profileId) {
+    return `dataset:${profileId}`;
+}
+
+/**
+ * データセットをキャッシュ
+ * @param {string} profileId - プロファイルID
+ * @param {Object} dataset - { sheets, sheetList, currentSheet, syncState }
+ * @param {Array<string>|null} changedSheets - 変更のあったシート名（nullなら全シートを書き込む）
+ */
+export async function cacheDataset(profileId, dataset, changedSheets = null) {
+    const db = await initDB();
+    const tx = db.transaction([STORES.SHEETS, STORES.META], 'readwrite');
+    const sheetStore = tx.objectStore(STORES.SHEETS);
+
+    const titles = Object.keys(dataset.sheets || {});
+    const existing = (await sheetStore.index('profileId').getAllKeys(profileId)).map(([, title]) => title);
+
+    // なくなったシートを削除
+    await Promise.all(existing
+        .filter(title => !titles.includes(title))
+        .map(title => sheetStore.delete([profileId, title])));
+
+    // 変更のあったシート（とキャッシュにないシート）だけ書き込む
+    await Promise.all(titles
+        .filter(title => !changedSheets || changedSheets.includes(title) || !existing.includes(title))
+        .map(title => sheetStore.put({
+            profileId,
+            title,
+            rows: dataset.sheets[title],
+            index: titles.indexOf(title),
+        })));
+
+    await tx.objectStore(STORES.META).put({
+        version: DATASET_VERSION,
+        sheetList: dataset.sheetList || [],
+        currentSheet: dataset.currentSheet || null,
+        syncState: dataset.syncState || null,
+        lastSync: new Date().toISOString(),
+    }, datasetKey(profileId));
+
+    await tx.done;
+}
+
+/**
+ * キャッシュされたデータセットを取得
+ * @param {string} profileId - プロファイルID
+ * @returns {Promise<Object|null>} - { sheets, sheetList, currentSheet, syncState, lastSync }
+ */
+export async function getCachedDataset(profileId) {
+    const db = await initDB();
+    const tx = db.transaction([STORES.SHEETS, STORES.META], 'readonly');
+
+    const meta = await tx.objectStore(STORES.META).get(datasetKey(profileId));
+    if (!meta || meta.version !== DATASET_VERSION) return null;
+
+    const records = await tx.objectStore(STORES.SHEETS).index('profileId').getAll(profileId);
+    const sheets = {};
+    records
+        .sort((a, b) => a.index - b.index)
+        .forEach(record => {
+            sheets[record.title] = record.rows;
+        });
+
+    return {
+        sheets,
+        sheetList: meta.sheetList,
+        currentSheet: meta.currentSheet,
+        syncState: meta.syncState,
+        lastSync: meta.lastSync,
+    };
+}
+
+/**
+ * プロファイルのキャッシュを削除
+ * @param {string} profileId - プロファイルID
+ */
+export async function deleteCachedDataset(profileId) {
+    const db = await initDB();
+    const tx = db.transaction([STORES.SHEETS, STORES.META], 'readwrite');
+    const sheetStore = tx.objectStore(STORES.SHEETS);
+
+    const keys = await sheetStore.index('profileId').getAllKeys(profileId);
+    await Promise.all(keys.map(key => sheetStore.delete(key)));
+    await tx.objectStore(STORES.META).delete(datasetKey(profileId));
+    await tx.done;
+}
+
+/**
+ * ローカルシート（CSVインポート）を取得
+ * @returns {Promise<Array<Object>>} - { title, layout, encoding, fileName, data, importedAt } の配列
+ */
+export async function getLocalSheets() {
+    const db = await initDB();
+    const sheets = await db.getAll(STORES.LOCAL_SHEETS);
+    return sheets.sort((a, b) => String(a.importedAt).localeCompare(String(b.importedAt)));
+}
+
+/**
+ * ローカルシートを保存（同じタイトルのシートは置き換え）
+ * @param {Object} sheet - { title, layout, encoding, fileName, data }
+ */
+export async function saveLocalSheet(sheet) {
+    const db = await initDB();
+    return db.put(STORES.LOCAL_SHEETS, { ...sheet, importedAt: new Date().toISOString() });
+}
+
+/**
+ * ローカルシートを削除
+ * @param {string} title - シート名
+ */
+export async function deleteLocalSheet(title) {
+    const db = await initDB();
+    return db.delete(STORES.LOCAL_SHEETS, title);
+}
@@ -0,0 +1,102 @@
+/**
+ * IndexedDB 初期化とスキーマ移行
+ * メモ・データセットのキャッシュ・ローカルシート・送信待ちキューを同じデータベースに保存する
+ */
+
+import { openDB } from 'idb';
+
+const DB_NAME = 'care-integration-db';
+const DB_VERSION = 4;
+
+export const STORES = {
+    MEMOS: 'memos',
+    SHEETS: 'sheets',           // スプレッドシートから取得したシート（プロファイル・シートごとに1レコード）
+    META: 'meta',               // プロファイルごとのシート一覧・同期状態などのメタ情報
+    LOCAL_SHEETS: 'localSheets', // CSVから取り込んだローカルシート
+    OUTBOX: 'outbox',           // 送信待ちの書き込み（メモ転記など）
+};
+
+// localStorage時代のキー（バージョン2への移行で使用）
+const LEGACY_KEYS = {
+    CACHED_DATA: 'care_dashboard_cached_data',
+    LAST_SYNC: 'care_dashboard_last_sync',
+    LOCAL_SHEETS: 'care_dashboard_local_sheets',
+};
+
+/**
+ * スキーマ移行
+ * キーは移行後のバージョン。古いバージョンから順番に適用する
+ */
+const MIGRATIONS = {
+    1(db) {
+        const store = db.createObjectStore(STORES.MEMOS, {
+            keyPath: 'id',
+            autoIncrement: true,
+        });
+        store.createIndex('createdAt', 'createdAt');
+    },
+
+    2(db, transaction) {
+        db.createObjectStore(STORES.SHEETS, { keyPath: 'title' });
+        db.createObjectStore(STORES.META);
+        db.createObjectStore(STORES.LOCAL_SHEETS, { keyPath: 'title' });
+
+        // localStorageのキャッシュとローカルシートを移す
+        try {
+            const cached = JSON.parse(localStorage.getItem(LEGACY_KEYS.CACHED_DATA) || 'null');
+            if (cached && cached.sheets) {
+                const sheetStore = transaction.objectStore(STORES.SHEETS);
+                Object.entries(cached.sheets).forEach(([title, rows], index) => {
+                    sheetStore.put({ title, rows, index });
+                });
+                transaction.objectStore(STORES.META).put({
+                    version: 1,
+                    sheetList: cached.sheetList || [],
+                    currentSheet: cached.currentSheet || null,
+                    syncState: cached.syncState || null,
+                    lastSync: localStorage.getItem(LEGACY_KEYS.LAST_SYNC),
+                }, 'dataset');
+            }
+
+            const localSheets = JSON.parse(localStorage.getItem(LEGACY_KEYS.LOCAL_SHEETS) || '[]');
+            const localStore = transaction.objectStore(STORES.LOCAL_SHEETS);
+            localSheets.forEach(sheet => localStore.put(sheet));
+        } catch (error) {
+            console.error('localStorageからの移行に失敗しました:', error);
+        }
+
+        // 移行が確定してから古いデータを削除
+        transaction.done.then(() => {
+            Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+        });
+    },
+
+    3(db) {
+        const store = db.createObjectStore(STORES.OUTBOX, {
+            keyPath: 'id',
+            autoIncrement: true,
+        });
+        store.createIndex('nextAttemptAt', 'nextAttemptAt');
+    },
+
+    4(db, transaction) {
+        // 事業所（接続プロファイル）ごとにキャッシュする。既存のキャッシュは次回の同期で取り直す
+        db.deleteObjectStore(STORES.SHEETS);
+        const store = db.createObjectStore(STORES.SHEETS, { keyPath: ['profileId', 'title'] });
+        store.createIndex('profileId', 'profileId');
+        transaction.objectStore(STORES.META).delete('dataset');
+    },
+};
+
+/**
+ * Initialize the database, applying any pending migrations
+ */
+export async function initDB() {
+    return openDB(DB_NAME, DB_VERSION, {
+        upgrade(db, oldVersion, newVersion, transaction) {
+            for (let version = oldVersion + 1; version <= newVersion; version++) {
+                MIGRATIONS[version](db, transaction);
+            }
+        },
+    });
+}
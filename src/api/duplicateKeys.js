@@ -0,0 +1,45 @@
+/**
+ * 重複判定のキー設定
+ * シートごとに「どの列が同じなら同じ記録とみなすか」を端末に保存する
+ */
+
+import { DEFAULT_DUPLICATE_KEY } from '../utils/duplicates.js';
+
+const STORAGE_KEY = 'care_dashboard_duplicate_keys';
+
+function readAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('重複キー設定の読み込みに失敗しました:', error);
+        return {};
+    }
+}
+
+/**
+ * シートの重複判定キーを取得
+ * @param {string} sheetName - シート名
+ * @returns {Array<string>} - 列名の配列（未設定なら既定のキー）
+ */
+export function getDuplicateKey(sheetName) {
+    return readAll()[sheetName] || DEFAULT_DUPLICATE_KEY;
+}
+
+/**
+ * シートの重複判定キーを保存
+ * @param {string} sheetName - シート名
+ * @param {Array<string>} columns - 列名の配列（既定に戻す場合はnull）
+ */
+export function setDuplicateKey(sheetName, columns) {
+    const all = readAll();
+    if (columns && columns.length === 0) {
+        throw new Error('重複を判定する項目を1つ以上選択してください');
+    }
+
+    if (columns) {
+        all[sheetName] = columns;
+    } else {
+        delete all[sheetName];
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
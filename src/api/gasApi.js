@@ -3,6 +3,8 @@
  * GAS Web Appを経由してGoogle Sheetsにアクセス
  */
 
+import { normalizeCellValue } from '../utils/schema.js';
+
 /**
  * GAS経由でシート一覧を取得
  * @param {string} gasUrl - GAS Web App URL
@@ -73,6 +75,28 @@ export async function fetchAllSheetsViaGAS(gasUrl) {
     return allData;
 }
 
+/**
+ * GAS経由で前回同期以降の変更を取得
+ * @param {string} gasUrl - GAS Web App URL
+ * @param {Object} since - シート名をキーとした前回のリビジョン { hash, rowCount }
+ * @returns {Promise<Object>} - { sheets: シート一覧, changes: シート名をキーとした変更内容 }
+ */
+export async function fetchChangesViaGAS(gasUrl, since) {
+    const url = `${gasUrl}?action=getChanges&since=${encodeURIComponent(JSON.stringify(since))}`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`GAS接続エラー (${response.status}): ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    if (result.error) {
+        throw new Error(`GASエラー: ${result.error}`);
+    }
+
+    return result;
+}
+
 /**
  * GAS経由でメモを1件追加
  * @param {string} gasUrl - GAS Web App URL
@@ -110,9 +134,11 @@ export async function appendMemoViaGAS(gasUrl, row, sheetName = 'メモ') {
  * @param {string} gasUrl - GAS Web App URL
  * @param {Array<Array>} rows - メモデータの行配列
  * @param {string} sheetName - シート名（デフォルト: 'メモ'）
- * @returns {Promise<Object>} - 追加結果
+ * @param {Array<string>} header - シート作成時のヘッダー行（省略時はGAS側のメモ用ヘッダー）
+ * @param {string} requestId - 再送時の二重追加を防ぐID（同じIDの追加はGAS側で一度だけ行う）
+ * @returns {Promise<Object>} - 追加結果（処理済みのIDなら duplicate: true）
  */
-export async function appendMemosViaGAS(gasUrl, rows, sheetName = 'メモ') {
+export async function appendMemosViaGAS(gasUrl, rows, sheetName = 'メモ', header, requestId) {
     const response = await fetch(gasUrl, {
         method: 'POST',
         headers: {
@@ -121,7 +147,81 @@ export async function appendMemosViaGAS(gasUrl, rows, sheetName = 'メモ') {
         body: JSON.stringify({
             action: 'appendMemos',
             sheetName: sheetName,
-            rows: rows
+            rows: rows,
+            header: header,
+            requestId: requestId
+        })
+    });
+
+    if (!response.ok) {
+        const error = new Error(`GAS接続エラー (${response.status}): ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(`GASエラー: ${data.error}`);
+    }
+
+    return data;
+}
+
+/**
+ * GAS経由で行を削除
+ * @param {string} gasUrl - GAS Web App URL
+ * @param {string} sheetName - シート名
+ * @param {Array<number>} rowNumbers - 削除する行番号（1行目は見出し）
+ * @param {string} expectedHash - 読み込み時のリビジョン（シートが変更されていれば削除しない）
+ * @returns {Promise<Object>} - 削除結果 { deleted }
+ */
+export async function deleteRowsViaGAS(gasUrl, sheetName, rowNumbers, expectedHash) {
+    const response = await fetch(gasUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            action: 'deleteRows',
+            sheetName: sheetName,
+            rowNumbers: rowNumbers,
+            expectedHash: expectedHash
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`GAS接続エラー (${response.status}): ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(`GASエラー: ${data.error}`);
+    }
+
+    return data;
+}
+
+/**
+ * GAS経由で1行のセルを更新
+ * @param {string} gasUrl - GAS Web App URL
+ * @param {string} sheetName - シート名
+ * @param {number} rowNumber - 行番号（1行目は見出し）
+ * @param {Object} values - { 列名: 値 } 変更したセルのみ
+ * @param {string} expectedHash - 読み込み時のリビジョン（シートが変更されていれば更新しない）
+ * @returns {Promise<Object>} - 更新結果 { updated, hash }（hash は更新後のリビジョン）
+ */
+export async function updateRowViaGAS(gasUrl, sheetName, rowNumber, values, expectedHash) {
+    const response = await fetch(gasUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            action: 'updateRow',
+            sheetName: sheetName,
+            rowNumber: rowNumber,
+            values: values,
+            expectedHash: expectedHash
         })
     });
 
@@ -139,10 +239,11 @@ export async function appendMemosViaGAS(gasUrl, rows, sheetName = 'メモ') {
 
 /**
  * 2次元配列をオブジェクト配列に変換
+ * GASが日付セルをISO形式の文字列で返すため、日付・時刻は読みやすい形に正規化する
  * @param {Array<Array>} data - 2次元配列（1行目がヘッダー）
  * @returns {Array<Object>} - オブジェクト配列
  */
-function convertToObjects(data) {
+export function convertToObjects(data) {
     if (!data || data.length === 0) return [];
 
     const headers = data[0];
@@ -151,7 +252,7 @@ function convertToObjects(data) {
     return rows.map(row => {
         const obj = {};
         headers.forEach((header, index) => {
-            obj[header] = row[index];
+            obj[header] = normalizeCellValue(row[index]);
         });
         return obj;
     });
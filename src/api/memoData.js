@@ -3,28 +3,9 @@
  * Handles storage of handwritten notes (images + text)
  */
 
-import { openDB } from 'idb';
+import { initDB, STORES } from './db.js';
 
-const DB_NAME = 'care-integration-db';
-const STORE_NAME = 'memos';
-const DB_VERSION = 1;
-
-/**
- * Initialize the database
- */
-async function initDB() {
-    return openDB(DB_NAME, DB_VERSION, {
-        upgrade(db) {
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                const store = db.createObjectStore(STORE_NAME, {
-                    keyPath: 'id',
-                    autoIncrement: true,
-                });
-                store.createIndex('createdAt', 'createdAt');
-            }
-        },
-    });
-}
+const STORE_NAME = STORES.MEMOS;
 
 /**
  * Save a new memo
@@ -0,0 +1,259 @@
+/**
+ * 送信待ちキュー (Outbox)
+ * メモ転記などの書き込みをIndexedDBに積み、接続が戻ったら指数バックオフで再送する
+ * 再送しても成功しない失敗（送信先のシートや設定の問題）は送信不可として再送を止める
+ *
+ * 送信は「少なくとも1回」: 追加は成功したが応答が届かなかった場合も再送する
+ * 各項目のrequestIdで送信先が二重追加を防ぐ（GASのみ。APIキー接続では同じ行が二重に追加されることがある）
+ */
+
+import { initDB, STORES } from './db.js';
+import { markAsExported } from './memoData.js';
+import { getProfile, getWriteProfile } from './storage.js';
+import { createDataSource, validateDataSourceSettings } from './dataSource.js';
+
+export const OUTBOX_SYNC_TAG = 'memo-outbox';
+
+const BASE_RETRY_DELAY = 30 * 1000;     // 30秒
+const MAX_RETRY_DELAY = 30 * 60 * 1000; // 30分
+
+// 再送しても変わらないGASのエラー（古いスクリプト・シートや列がない）
+const PERMANENT_ERROR_PATTERN = /Invalid action|not found/i;
+
+let processing = null;
+let nextPass = null;       // 送信中に呼ばれた場合の、終わった後のもう一度の送信
+let nextPassForce = false;
+let retryTimer = null;
+const listeners = new Set();
+
+/**
+ * 書き込みをキューに追加
+ * 送信先はキューに積んだ時点で選択中の事業所（接続プロファイル）
+ * @param {Object} entry - { sheetName, rows, header, memoIds, profileId? }
+ * @returns {Promise<number>} - キューのID
+ */
+export async function enqueueExport(entry) {
+    const db = await initDB();
+    const id = await db.add(STORES.OUTBOX, {
+        requestId: createRequestId(),
+        profileId: entry.profileId ?? getWriteProfile()?.id ?? null,
+        sheetName: entry.sheetName,
+        rows: entry.rows,
+        header: entry.header,
+        memoIds: entry.memoIds || [],
+        attempts: 0,
+        lastError: null,
+        failed: false,
+        createdAt: new Date(),
+        nextAttemptAt: Date.now(),
+    });
+
+    registerBackgroundSync();
+    notifyListeners();
+    return id;
+}
+
+/**
+ * キューの内容を取得
+ * @returns {Promise<Array<Object>>} - 古い順のキュー
+ */
+export async function getOutboxItems() {
+    const db = await initDB();
+    return db.getAll(STORES.OUTBOX);
+}
+
+/**
+ * キューから項目を取り除く（送信不可になった項目の破棄に使用。メモは未転記のまま残る）
+ * @param {number} id - キューのID
+ */
+export async function discardOutboxItem(id) {
+    const db = await initDB();
+    await db.delete(STORES.OUTBOX, id);
+    notifyListeners();
+}
+
+/**
+ * 再送しても成功しない失敗か
+ * 408・429・5xx・ネットワークエラーは一時的な失敗として再送する
+ * @param {Error} error - 送信時のエラー（HTTPの失敗は status を持つ）
+ * @returns {boolean}
+ */
+export function isPermanentFailure(error) {
+    if (error.status) {
+        return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+    }
+    return PERMANENT_ERROR_PATTERN.test(error.message);
+}
+
+/**
+ * 再送予定時刻を過ぎたキューを送信
+ * 送信不可の項目は force の場合だけ送り直す（送信先の設定を直した後の手動再送）
+ * @param {Function} resolveDataSource - キューの項目を受け取り送信先のデータソースを返す関数（送信できない場合はnull）
+ * @param {Object} options - { force: 再送予定時刻を待たずに送信不可の項目も含めて全件送信 }
+ * @returns {Promise<Object>} - { sent, failed, pending }
+ */
+export async function processOutbox(resolveDataSource, { force = false } = {}) {
+    const db = await initDB();
+    const items = await db.getAll(STORES.OUTBOX);
+    const now = Date.now();
+    let sent = 0;
+    let failed = 0;
+
+    for (const item of items) {
+        if (!force && (item.failed || item.nextAttemptAt > now)) continue;
+
+        const dataSource = resolveDataSource(item);
+        if (!dataSource) {
+            // 送信先の設定がない間も同じ間隔で待つ（設定後は「今すぐ再送」ですぐ送れる）
+            await recordFailure(db, item, '送信先の接続設定がありません', false);
+            failed++;
+            continue;
+        }
+
+        try {
+            await dataSource.appendRows(item.sheetName, item.rows, item.header, { requestId: item.requestId });
+            await db.delete(STORES.OUTBOX, item.id);
+
+            for (const memoId of item.memoIds) {
+                // 送信待ちの間に削除されたメモは無視
+                await markAsExported(memoId).catch(() => {});
+            }
+            sent++;
+        } catch (error) {
+            await recordFailure(db, item, error.message, isPermanentFailure(error));
+            failed++;
+        }
+    }
+
+    return { sent, failed, pending: items.length - sent };
+}
+
+/**
+ * 失敗を記録し、次の再送時刻を設定（送信不可なら再送しない）
+ */
+async function recordFailure(db, item, message, permanent) {
+    const attempts = item.attempts + 1;
+    await db.put(STORES.OUTBOX, {
+        ...item,
+        attempts,
+        lastError: message,
+        failed: permanent,
+        nextAttemptAt: permanent ? null : Date.now() + getRetryDelay(attempts),
+    });
+}
+
+/**
+ * 試行回数に応じた再送までの待ち時間
+ * @param {number} attempts - 失敗した回数
+ * @returns {number} - ミリ秒
+ */
+export function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * キューを各項目の送信先の設定で送信（同時に1回だけ実行）
+ * 送信中に呼ばれた場合は、その後に積まれた項目も送れるよう終わってからもう一度送信する
+ * オフラインの場合は送信を試みない
+ * @param {Object} options - processOutbox() のオプション
+ * @returns {Promise<Object|null>} - processOutbox() の結果（送信しなかった場合はnull）
+ */
+export function flushOutbox(options = {}) {
+    if (processing) {
+        nextPassForce = nextPassForce || Boolean(options.force);
+        nextPass = nextPass || processing.then(() => {
+            const force = nextPassForce;
+            nextPass = null;
+            nextPassForce = false;
+            return flushOutbox({ ...options, force });
+        });
+        return nextPass;
+    }
+
+    processing = (async () => {
+        if (!navigator.onLine) return null;
+
+        const dataSources = new Map();
+        const result = await processOutbox((item) => {
+            // 送信先のプロファイルが削除されていれば現在の書き込み先に送る
+            const settings = getProfile(item.profileId) || getWriteProfile();
+            if (!settings || validateDataSourceSettings(settings)) return null;
+
+            if (!dataSources.has(settings.id)) {
+                dataSources.set(settings.id, createDataSource(settings));
+            }
+            return dataSources.get(settings.id);
+        }, options);
+        if (result.sent > 0 || result.failed > 0) notifyListeners(result);
+        return result;
+    })()
+        .catch(error => {
+            console.error('送信待ちキューの処理に失敗しました:', error);
+            return null;
+        })
+        .finally(() => {
+            processing = null;
+            scheduleRetry();
+        });
+
+    return processing;
+}
+
+/**
+ * 自動再送を開始
+ * オンライン復帰時・Service Workerのバックグラウンド同期時・バックオフ時刻に送信する
+ */
+export function startOutboxRetry() {
+    window.addEventListener('online', () => flushOutbox());
+
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+        if (event.data?.type === 'flush-outbox') flushOutbox();
+    });
+
+    flushOutbox();
+}
+
+/**
+ * キューの変化を購読
+ * @param {Function} listener - 変化時に呼ばれる関数（送信結果を受け取る）
+ * @returns {Function} - 購読解除
+ */
+export function onOutboxChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * 次に再送予定のキューに合わせてタイマーを設定
+ * オフラインの間はタイマーを設定しない（オンライン復帰時に送信する）
+ */
+async function scheduleRetry() {
+    if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+    }
+    if (!navigator.onLine) return;
+
+    const items = (await getOutboxItems().catch(() => [])).filter(item => !item.failed);
+    if (items.length === 0) return;
+
+    const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+    retryTimer = setTimeout(() => flushOutbox(), Math.max(nextAttemptAt - Date.now(), 1000));
+}
+
+/**
+ * Service Workerにバックグラウンド同期を登録（対応ブラウザのみ）
+ */
+function registerBackgroundSync() {
+    navigator.serviceWorker?.ready
+        .then(registration => registration.sync?.register(OUTBOX_SYNC_TAG))
+        .catch(error => console.warn('バックグラウンド同期を登録できません:', error));
+}
+
+function notifyListeners(result) {
+    listeners.forEach(listener => listener(result));
+}
+
+function createRequestId() {
+    return `q${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,108 @@
+/**
+ * 保存したビュー
+ * シート・検索語・フィルター・ソート・表示項目・表示モードの組み合わせに名前を付けて端末に保存する
+ * JSONで書き出し・読み込みして同僚と共有できる
+ */
+
+const STORAGE_KEY = 'care_dashboard_saved_views';
+const EXPORT_FORMAT = 'care-dashboard-views';
+const EXPORT_VERSION = 1;
+
+/**
+ * 保存したビューを取得
+ * @returns {Array<Object>} - { id, name, sheet, query, filter, sort, columns, layout, createdAt } の配列
+ */
+export function getSavedViews() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('保存したビューの読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+function writeViews(views) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+}
+
+function createViewId() {
+    return `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * ビューを保存（同じ名前のビューは上書き）
+ * @param {Object} view - { name, sheet, query, filter, sort, columns, layout }
+ *   （columns・layout はシートのレイアウト。api/sheetLayouts.js を参照）
+ * @returns {Object} - 保存したビュー
+ */
+export function saveView(view) {
+    const views = getSavedViews();
+    const name = String(view.name || '').trim();
+    if (!name) {
+        throw new Error('ビューの名前を入力してください');
+    }
+
+    const existing = views.find(v => v.name === name);
+    const saved = {
+        id: existing?.id || createViewId(),
+        name,
+        sheet: view.sheet || null,
+        query: view.query || '',
+        filter: view.filter || { groups: [] },
+        sort: view.sort || { field: '', direction: 'asc' },
+        columns: view.columns || null,
+        layout: view.layout || null,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+    };
+
+    if (existing) {
+        views[views.indexOf(existing)] = saved;
+    } else {
+        views.push(saved);
+    }
+    writeViews(views);
+    return saved;
+}
+
+/**
+ * ビューを削除
+ * @param {string} id - ビューID
+ */
+export function deleteView(id) {
+    writeViews(getSavedViews().filter(view => view.id !== id));
+}
+
+/**
+ * ビューを共有用のJSONに書き出す
+ * @param {Array<Object>} views - 書き出すビュー（省略時はすべて）
+ * @returns {string} - JSON文字列
+ */
+export function exportViews(views = getSavedViews()) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        views: views.map(({ id, ...view }) => view),
+    }, null, 2);
+}
+
+/**
+ * 書き出したJSONからビューを読み込む（同じ名前のビューは上書き）
+ * @param {string} json - JSON文字列
+ * @returns {number} - 読み込んだビューの数
+ */
+export function importViews(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error('ビューのファイルを読み込めません（JSON形式ではありません）');
+    }
+
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.views)) {
+        throw new Error('ビューのファイルではありません');
+    }
+
+    data.views.forEach(view => saveView(view));
+    return data.views.length;
+}
@@ -0,0 +1,68 @@
+/**
+ * シートの表示レイアウト
+ * シートごとに「カード表示か表表示か」と、表示する列とその順番を端末に保存する
+ * 表示する列はカード表示・表表示で共通（カードでは1列目をタイトルとして常に表示する）
+ */
+
+const STORAGE_KEY = 'care_dashboard_sheet_layouts';
+const DEFAULT_CARD_COLUMNS = 4; // 列が未指定の場合にカードに出す列数（タイトルを含む）
+
+export const LAYOUT_MODES = {
+    CARDS: 'cards',
+    TABLE: 'table',
+};
+
+function readAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('レイアウト設定の読み込みに失敗しました:', error);
+        return {};
+    }
+}
+
+/**
+ * シートのレイアウトを取得
+ * @param {string} sheetName - シート名
+ * @returns {Object} - { mode, columns }（columns が null なら表示モードごとの既定の列）
+ */
+export function getSheetLayout(sheetName) {
+    const saved = readAll()[sheetName] || {};
+    return {
+        mode: saved.mode === LAYOUT_MODES.TABLE ? LAYOUT_MODES.TABLE : LAYOUT_MODES.CARDS,
+        columns: Array.isArray(saved.columns) ? saved.columns : null,
+    };
+}
+
+/**
+ * シートのレイアウトを保存（指定した項目だけ更新）
+ * @param {string} sheetName - シート名
+ * @param {Object} changes - { mode, columns }
+ * @returns {Object} - 保存後のレイアウト
+ */
+export function setSheetLayout(sheetName, changes) {
+    if (changes.columns && changes.columns.length === 0) {
+        throw new Error('表示する列を1つ以上選択してください');
+    }
+
+    const all = readAll();
+    all[sheetName] = { ...getSheetLayout(sheetName), ...changes };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    return getSheetLayout(sheetName);
+}
+
+/**
+ * シートで表示する列を順番どおりに取得
+ * 保存した列のうちシートにないものは除き、未指定なら表は全列・カードは先頭から4列
+ * @param {string} sheetName - シート名
+ * @param {Array<string>} fields - シートの全列
+ * @param {string} mode - 表示モード（省略時はシートの表示モード）
+ * @returns {Array<string>} - 表示する列
+ */
+export function getShownColumns(sheetName, fields, mode) {
+    const layout = getSheetLayout(sheetName);
+    const shown = layout.columns ? layout.columns.filter(field => fields.includes(field)) : [];
+    if (shown.length > 0) return shown;
+
+    return (mode || layout.mode) === LAYOUT_MODES.TABLE ? [...fields] : fields.slice(0, DEFAULT_CARD_COLUMNS);
+}
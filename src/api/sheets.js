@@ -3,13 +3,19 @@
  * Google Sheets API v4を使用してスプレッドシートからデータを取得
  */
 
+import { normalizeCellValue } from '../utils/schema.js';
+
 const SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
+const ROWS_PER_PAGE = 1000;    // 1回のリクエストで取得する行数
+const ROWS_PER_BATCH = 20000;  // 1回の batchGet で取得する行数の目安
+const MAX_RETRIES = 3;         // 429（利用上限）のときに再試行する回数
+const RETRY_BASE_DELAY = 1000; // 再試行までの待ち時間（ミリ秒、再試行ごとに2倍）
 
 /**
  * Google Sheetsからデータを取得
  * @param {string} apiKey - Google Sheets APIキー
  * @param {string} spreadsheetId - スプレッドシートID
- * @param {string} range - 取得範囲 (例: 'Sheet1!A1:Z1000')
+ * @param {string} range - 取得範囲 (例: 'Sheet1'!A1:Z1000)
  * @returns {Promise<Array>} - 取得したデータ
  */
 export async function fetchSheetData(apiKey, spreadsheetId, range) {
@@ -17,20 +23,13 @@ export async function fetchSheetData(apiKey, spreadsheetId, range) {
     throw new Error('APIキー、スプレッドシートID、範囲が必要です');
   }
 
-  const url = `${SHEETS_API_BASE}/${spreadsheetId}/values/${range}?key=${apiKey}`;
+  const url = `${SHEETS_API_BASE}/${spreadsheetId}/values/${encodeURIComponent(range)}?key=${apiKey}`;
 
   try {
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url);
 
     if (!response.ok) {
-      if (response.status === 403) {
-        throw new Error('APIキーが無効です。Google Cloud ConsoleでAPIキーを確認してください。');
-      } else if (response.status === 404) {
-        throw new Error('スプレッドシートが見つかりません。IDを確認してください。');
-      } else {
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || 'データ取得に失敗しました');
-      }
+      throw await toApiError(response);
     }
 
     const data = await response.json();
@@ -41,6 +40,170 @@ export async function fetchSheetData(apiKey, spreadsheetId, range) {
   }
 }
 
+/**
+ * 複数の範囲を1回のリクエスト（values:batchGet）で取得
+ * @param {string} apiKey - Google Sheets APIキー
+ * @param {string} spreadsheetId - スプレッドシートID
+ * @param {Array<string>} ranges - 取得範囲の配列
+ * @returns {Promise<Array<Array>>} - 範囲ごとのデータ（ranges と同じ順番）
+ */
+export async function fetchBatchData(apiKey, spreadsheetId, ranges) {
+  if (!apiKey || !spreadsheetId || !ranges || ranges.length === 0) {
+    throw new Error('APIキー、スプレッドシートID、範囲が必要です');
+  }
+
+  const query = ranges.map(range => `ranges=${encodeURIComponent(range)}`).join('&');
+  const url = `${SHEETS_API_BASE}/${spreadsheetId}/values:batchGet?${query}&key=${apiKey}`;
+
+  try {
+    const response = await fetchWithRetry(url);
+
+    if (!response.ok) {
+      throw await toApiError(response);
+    }
+
+    const data = await response.json();
+    return ranges.map((range, index) => data.valueRanges?.[index]?.values || []);
+  } catch (error) {
+    console.error('Google Sheets API エラー:', error);
+    throw error;
+  }
+}
+
+/**
+ * リクエストを送信（429 の場合は待ってから再試行）
+ * Retry-After ヘッダーがあればその秒数、なければ再試行ごとに待ち時間を倍にする
+ * @param {string} url - URL
+ * @returns {Promise<Response>} - レスポンス（再試行しても 429 の場合はそのまま返す）
+ */
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url);
+    if (response.status !== 429 || attempt >= MAX_RETRIES) return response;
+
+    const retryAfter = Number(response.headers?.get('Retry-After'));
+    const delay = retryAfter > 0 ? retryAfter * 1000 : RETRY_BASE_DELAY * 2 ** attempt + Math.random() * 250;
+    console.warn(`Sheets APIの利用上限に達しました。${Math.round(delay / 1000)}秒後に再試行します`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * エラーレスポンスを分かりやすいメッセージのエラーに変換
+ * @param {Response} response - レスポンス
+ * @returns {Promise<Error>} - エラー
+ */
+async function toApiError(response) {
+  if (response.status === 403) {
+    return new Error('APIキーが無効です。Google Cloud ConsoleでAPIキーを確認してください。');
+  } else if (response.status === 404) {
+    return new Error('スプレッドシートが見つかりません。IDを確認してください。');
+  } else if (response.status === 429) {
+    return new Error('Google Sheets APIの利用上限に達しました。しばらく待ってから再度お試しください。');
+  }
+
+  try {
+    const errorData = await response.json();
+    return new Error(errorData.error?.message || 'データ取得に失敗しました');
+  } catch (e) {
+    return new Error('データ取得に失敗しました');
+  }
+}
+
+/**
+ * 列番号をA1形式の列名に変換（1 → A、27 → AA）
+ * @param {number} columnNumber - 列番号（1始まり）
+ * @returns {string} - 列名
+ */
+export function toColumnLetter(columnNumber) {
+  let letters = '';
+  for (let n = columnNumber; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * 行の範囲をA1形式で作成
+ * 列数が分からない場合は行だけを指定する（'シート1'!1:1000 はすべての列を取得する）
+ * @param {string} sheetName - シート名
+ * @param {number} startRow - 開始行（1始まり）
+ * @param {number} endRow - 終了行
+ * @param {number} columnCount - 列数（不明なら0）
+ * @returns {string} - 範囲
+ */
+export function toRowRange(sheetName, startRow, endRow, columnCount = 0) {
+  const sheet = `'${String(sheetName).replace(/'/g, "''")}'`;
+  return columnCount > 0
+    ? `${sheet}!A${startRow}:${toColumnLetter(columnCount)}${endRow}`
+    : `${sheet}!${startRow}:${endRow}`;
+}
+
+/**
+ * シートを行数ごとのページに分ける
+ * @param {Object} sheet - { title, rowCount, columnCount }
+ * @returns {Array<Object>} - { range, rows, isLastPage } の配列
+ */
+function toPages(sheet) {
+  const pages = [];
+  for (let startRow = 1; startRow <= sheet.rowCount; startRow += ROWS_PER_PAGE) {
+    const endRow = Math.min(startRow + ROWS_PER_PAGE - 1, sheet.rowCount);
+    pages.push({
+      range: toRowRange(sheet.title, startRow, endRow, sheet.columnCount),
+      rows: endRow - startRow + 1,
+      isLastPage: endRow >= sheet.rowCount,
+    });
+  }
+  return pages;
+}
+
+/**
+ * 取得したページをシートのデータに追加
+ * ページ末尾の空行は返されないので、次のページと行位置がずれないように埋める
+ */
+function appendPage(values, page, rows, isLastPage) {
+  values.push(...page);
+  if (isLastPage) return;
+  for (let i = page.length; i < rows; i++) values.push([]);
+}
+
+/**
+ * 埋めた空行がシートの末尾に残らないようにする
+ */
+function trimTrailingEmptyRows(values) {
+  while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+  return values;
+}
+
+/**
+ * 1シート分のデータを行数ごとに分けて取得
+ * シート一覧の rowCount / columnCount から範囲を決める（不明な場合は空のページが返るまで取得）
+ * @param {string} apiKey - Google Sheets APIキー
+ * @param {string} spreadsheetId - スプレッドシートID
+ * @param {Object} sheet - { title, rowCount, columnCount }
+ * @param {Function} onPage - ページを取得するたびに取得した行数で呼ばれる（省略可）
+ * @returns {Promise<Array>} - 取得したデータ（2次元配列）
+ */
+export async function fetchSheetRows(apiKey, spreadsheetId, sheet, onPage = () => {}) {
+  const values = [];
+
+  if (sheet.rowCount > 0) {
+    for (const { range, rows, isLastPage } of toPages(sheet)) {
+      appendPage(values, await fetchSheetData(apiKey, spreadsheetId, range), rows, isLastPage);
+      onPage(rows);
+    }
+    return trimTrailingEmptyRows(values);
+  }
+
+  for (let startRow = 1; ; startRow += ROWS_PER_PAGE) {
+    const page = await fetchSheetData(apiKey, spreadsheetId, toRowRange(sheet.title, startRow, startRow + ROWS_PER_PAGE - 1));
+    onPage(ROWS_PER_PAGE);
+    appendPage(values, page, ROWS_PER_PAGE, page.length === 0);
+    if (page.length === 0) break;
+  }
+  return trimTrailingEmptyRows(values);
+}
+
 /**
  * スプレッドシートのメタデータを取得
  * @param {string} apiKey - Google Sheets APIキー
@@ -55,7 +218,7 @@ export async function fetchSpreadsheetMetadata(apiKey, spreadsheetId) {
   const url = `${SHEETS_API_BASE}/${spreadsheetId}?key=${apiKey}`;
 
   try {
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url);
 
     if (!response.ok) {
       // 詳細なエラー情報を取得
@@ -84,6 +247,7 @@ export async function fetchSpreadsheetMetadata(apiKey, spreadsheetId) {
 /**
  * データを行オブジェクトの配列に変換
  * 1行目をヘッダーとして扱い、各行をオブジェクトに変換
+ * 日付・時刻の値はGAS経由と同じ形に正規化する
  * @param {Array<Array>} rawData - 生データ
  * @returns {Array<Object>} - オブジェクトの配列
  */
@@ -98,7 +262,7 @@ export function convertToObjects(rawData) {
   return rows.map(row => {
     const obj = {};
     headers.forEach((header, index) => {
-      obj[header] = row[index] || '';
+      obj[header] = normalizeCellValue(row[index] || '');
     });
     return obj;
   });
@@ -113,7 +277,7 @@ export function convertToObjects(rawData) {
  */
 export async function testConnection(apiKey, spreadsheetId, sheetName) {
   try {
-    const range = `${sheetName}!A1:Z10`;
+    const range = toRowRange(sheetName, 1, 10);
     await fetchSheetData(apiKey, spreadsheetId, range);
     return true;
   } catch (error) {
@@ -150,30 +314,57 @@ export async function fetchSheetList(apiKey, spreadsheetId) {
 }
 
 /**
- * 複数シートのデータを同時取得
+ * 複数シートのデータを取得
+ * 大きさの分かっているシートはページにまとめて values:batchGet で数回に分けて取得し（APIの利用上限対策）、
+ * 大きさの分からないシートは1シートずつ取得する。進み具合を onProgress に通知する
  * @param {string} apiKey - Google Sheets APIキー
  * @param {string} spreadsheetId - スプレッドシートID
- * @param {Array<string>} sheetNames - シート名の配列
+ * @param {Array<string|Object>} sheets - シート名、または fetchSheetList() のシート情報の配列
+ * @param {Function} onProgress - (取得済みの行数, 全体の行数) で呼ばれる（省略可、行数が不明なシートは全体に含まない）
  * @returns {Promise<Object>} - シート名をキーとしたデータオブジェクト
  */
-export async function fetchMultipleSheets(apiKey, spreadsheetId, sheetNames) {
-  if (!sheetNames || sheetNames.length === 0) {
+export async function fetchMultipleSheets(apiKey, spreadsheetId, sheets, onProgress = () => {}) {
+  if (!sheets || sheets.length === 0) {
     throw new Error('シート名が指定されていません');
   }
 
-  try {
-    const promises = sheetNames.map(async (sheetName) => {
-      const range = `${sheetName}!A1:Z1000`;
-      const rawData = await fetchSheetData(apiKey, spreadsheetId, range);
-      const data = convertToObjects(rawData);
-      return { sheetName, data };
+  const sheetInfos = sheets.map(sheet => (typeof sheet === 'string' ? { title: sheet } : sheet));
+  const valuesBySheet = new Map(sheetInfos.map(sheet => [sheet.title, []]));
+  const totalRows = sheetInfos.reduce((sum, sheet) => sum + (sheet.rowCount || 0), 0);
+  let loadedRows = 0;
+
+  // ページを行数の目安ごとにまとめる
+  const batches = [];
+  let batch = null;
+  sheetInfos.filter(sheet => sheet.rowCount > 0).forEach(sheet => {
+    toPages(sheet).forEach(page => {
+      if (!batch || batch.rows + page.rows > ROWS_PER_BATCH) {
+        batch = { rows: 0, pages: [] };
+        batches.push(batch);
+      }
+      batch.rows += page.rows;
+      batch.pages.push({ ...page, sheet });
     });
+  });
+
+  try {
+    for (const { rows, pages } of batches) {
+      const results = await fetchBatchData(apiKey, spreadsheetId, pages.map(page => page.range));
+      pages.forEach((page, index) => {
+        appendPage(valuesBySheet.get(page.sheet.title), results[index], page.rows, page.isLastPage);
+      });
 
-    const results = await Promise.all(promises);
+      loadedRows += rows;
+      onProgress(loadedRows, totalRows);
+    }
+
+    for (const sheet of sheetInfos.filter(sheet => !(sheet.rowCount > 0))) {
+      valuesBySheet.set(sheet.title, await fetchSheetRows(apiKey, spreadsheetId, sheet));
+    }
 
     const sheetsData = {};
-    results.forEach(({ sheetName, data }) => {
-      sheetsData[sheetName] = data;
+    sheetInfos.forEach(sheet => {
+      sheetsData[sheet.title] = convertToObjects(trimTrailingEmptyRows(valuesBySheet.get(sheet.title)));
     });
 
     return sheetsData;
@@ -187,16 +378,16 @@ export async function fetchMultipleSheets(apiKey, spreadsheetId, sheetNames) {
  * すべてのシートのデータを取得
  * @param {string} apiKey - Google Sheets APIキー
  * @param {string} spreadsheetId - スプレッドシートID
+ * @param {Function} onProgress - (取得済みの行数, 全体の行数) で呼ばれる（省略可）
+ * @param {Array<Object>} sheetList - 取得済みの fetchSheetList() の結果（省略時は取得する）
  * @returns {Promise<Object>} - すべてのシートのデータ
  */
-export async function fetchAllSheets(apiKey, spreadsheetId) {
+export async function fetchAllSheets(apiKey, spreadsheetId, onProgress, sheetList) {
   try {
-    const sheetList = await fetchSheetList(apiKey, spreadsheetId);
-    const sheetNames = sheetList.map(sheet => sheet.title);
-    return await fetchMultipleSheets(apiKey, spreadsheetId, sheetNames);
+    const sheets = sheetList || await fetchSheetList(apiKey, spreadsheetId);
+    return await fetchMultipleSheets(apiKey, spreadsheetId, sheets, onProgress);
   } catch (error) {
     console.error('全シート取得エラー:', error);
     throw error;
   }
 }
-
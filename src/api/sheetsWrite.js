@@ -5,6 +5,8 @@
 
 const SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
 
+export const MEMO_HEADER = ['作成日時', 'テキスト内容', '画像サイズ', 'エクスポート日時'];
+
 /**
  * Append rows to a sheet
  * @param {string} apiKey - Google Sheets APIキー
@@ -28,8 +30,10 @@ export async function appendToSheet(apiKey, spreadsheetId, sheetName, values) {
     });
 
     if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || 'Sheetsへの書き込みに失敗しました');
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.error?.message || 'Sheetsへの書き込みに失敗しました');
+        error.status = response.status;
+        throw error;
     }
 
     return response.json();
@@ -51,7 +55,9 @@ export async function sheetExists(apiKey, spreadsheetId, sheetName) {
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
             const errorMessage = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
-            throw new Error(`メタデータの取得に失敗しました: ${errorMessage}`);
+            const error = new Error(`メタデータの取得に失敗しました: ${errorMessage}`);
+            error.status = response.status;
+            throw error;
         }
 
         const data = await response.json();
@@ -73,6 +79,29 @@ export async function createSheet(spreadsheetId, sheetName) {
     throw new Error('シートの自動作成にはOAuth認証が必要です。手動で「' + sheetName + '」という名前のシートを作成してください。');
 }
 
+/**
+ * Append rows, writing the header first when the sheet does not exist yet
+ * @param {string} apiKey - Google Sheets APIキー
+ * @param {string} spreadsheetId - スプレッドシートID
+ * @param {string} sheetName - シート名
+ * @param {Array<Array>} rows - 追加する行の2次元配列
+ * @param {Array<string>} header - シートがない場合に書き込むヘッダー行
+ * @returns {Promise<Object>} - 追加結果
+ */
+export async function appendRowsWithHeader(apiKey, spreadsheetId, sheetName, rows, header = MEMO_HEADER) {
+    const exists = await sheetExists(apiKey, spreadsheetId, sheetName);
+
+    if (!exists) {
+        // ヘッダー行を含めて作成
+        await appendToSheet(apiKey, spreadsheetId, sheetName, [header, ...rows]);
+    } else {
+        // データ行のみ追加
+        await appendToSheet(apiKey, spreadsheetId, sheetName, rows);
+    }
+
+    return { success: true, count: rows.length, sheetName };
+}
+
 /**
  * Format memo data for Google Sheets export
  * @param {Object} memo - メモオブジェクト
@@ -96,20 +125,7 @@ export function formatMemoForExport(memo) {
  * @returns {Promise<Object>} - エクスポート結果
  */
 export async function exportMemoToSheets(apiKey, spreadsheetId, memo, sheetName = 'メモ') {
-    // シートの存在確認
-    const exists = await sheetExists(apiKey, spreadsheetId, sheetName);
-
-    if (!exists) {
-        // ヘッダー行を含めて作成
-        const header = ['作成日時', 'テキスト内容', '画像サイズ', 'エクスポート日時'];
-        const memoRow = formatMemoForExport(memo);
-        await appendToSheet(apiKey, spreadsheetId, sheetName, [header, memoRow]);
-    } else {
-        // データ行のみ追加
-        const memoRow = formatMemoForExport(memo);
-        await appendToSheet(apiKey, spreadsheetId, sheetName, [memoRow]);
-    }
-
+    await appendRowsWithHeader(apiKey, spreadsheetId, sheetName, [formatMemoForExport(memo)]);
     return { success: true, sheetName };
 }
 
@@ -126,19 +142,6 @@ export async function exportMemosToSheets(apiKey, spreadsheetId, memos, sheetNam
         throw new Error('エクスポートするメモがありません');
     }
 
-    // シートの存在確認
-    const exists = await sheetExists(apiKey, spreadsheetId, sheetName);
-
     const rows = memos.map(memo => formatMemoForExport(memo));
-
-    if (!exists) {
-        // ヘッダー行を含めて作成
-        const header = ['作成日時', 'テキスト内容', '画像サイズ', 'エクスポート日時'];
-        await appendToSheet(apiKey, spreadsheetId, sheetName, [header, ...rows]);
-    } else {
-        // データ行のみ追加
-        await appendToSheet(apiKey, spreadsheetId, sheetName, rows);
-    }
-
-    return { success: true, count: memos.length, sheetName };
+    return appendRowsWithHeader(apiKey, spreadsheetId, sheetName, rows);
 }
@@ -1,100 +1,280 @@
 /**
  * LocalStorage管理モジュール
- * 設定やデータのキャッシュを管理
+ * 設定を管理（データのキャッシュは datasetCache.js でIndexedDBに保存）
+ *
+ * 事業所ごとに接続プロファイル（接続方法・URL/ID・自動更新間隔）を持ち、
+ * 選択中のプロファイルの設定を loadSettings() で返す
  */
 
 const STORAGE_KEYS = {
+    PROFILES: 'care_dashboard_profiles',             // 接続プロファイルの配列
+    ACTIVE_PROFILE: 'care_dashboard_active_profile', // 選択中のプロファイルID（または ALL_PROFILES_ID）
+    WEEKLY_HOUR_LIMIT: 'care_dashboard_weekly_hour_limit', // スタッフの週の勤務時間の上限
+    BILLING_AGE_THRESHOLD: 'care_dashboard_billing_age_threshold', // 未請求を強調する経過日数
+};
+
+const DEFAULT_WEEKLY_HOUR_LIMIT = 40;
+const DEFAULT_BILLING_AGE_THRESHOLD = 30;
+
+// プロファイル導入前の設定キー（最初の読み込み時にプロファイルへ移行）
+const LEGACY_KEYS = {
     API_KEY: 'care_dashboard_api_key',
     SPREADSHEET_ID: 'care_dashboard_spreadsheet_id',
     SHEET_NAME: 'care_dashboard_sheet_name',
     AUTO_REFRESH_INTERVAL: 'care_dashboard_auto_refresh_interval',
     GAS_URL: 'care_dashboard_gas_url', // Google Apps Script Web App URL
     USE_GAS: 'care_dashboard_use_gas', // GASを使用するかどうか
-    CACHED_DATA: 'care_dashboard_cached_data',
-    LAST_SYNC: 'care_dashboard_last_sync',
+};
+
+// 全事業所をまとめて表示するモード
+export const ALL_PROFILES_ID = 'all';
+
+const DEFAULT_PROFILE = {
+    name: '',
+    apiKey: '',
+    spreadsheetId: '',
+    sheetName: 'Sheet1',
+    autoRefreshInterval: '300000',
+    gasUrl: '',
+    useGas: false,
+    includeInAll: true, // 全事業所表示に含めるかどうか
 };
 
 /**
- * 設定を保存
- * @param {Object} settings - 設定オブジェクト
+ * プロファイル一覧を取得
+ * @returns {Array<Object>} - { id, name, useGas, gasUrl, apiKey, spreadsheetId, autoRefreshInterval, includeInAll } の配列
  */
-export function saveSettings(settings) {
-    if (settings.apiKey) {
-        localStorage.setItem(STORAGE_KEYS.API_KEY, settings.apiKey);
+export function getProfiles() {
+    const stored = localStorage.getItem(STORAGE_KEYS.PROFILES);
+    if (stored) {
+        try {
+            return JSON.parse(stored).map(profile => ({ ...DEFAULT_PROFILE, ...profile }));
+        } catch (error) {
+            console.error('プロファイルの読み込みに失敗しました:', error);
+            return [];
+        }
     }
-    if (settings.spreadsheetId) {
-        localStorage.setItem(STORAGE_KEYS.SPREADSHEET_ID, settings.spreadsheetId);
-    }
-    if (settings.sheetName) {
-        localStorage.setItem(STORAGE_KEYS.SHEET_NAME, settings.sheetName);
+
+    return migrateLegacySettings();
+}
+
+/**
+ * 単一設定だった頃の値を最初のプロファイルとして移行
+ * @returns {Array<Object>} - プロファイル一覧
+ */
+function migrateLegacySettings() {
+    const gasUrl = localStorage.getItem(LEGACY_KEYS.GAS_URL) || '';
+    const apiKey = localStorage.getItem(LEGACY_KEYS.API_KEY) || '';
+    const spreadsheetId = localStorage.getItem(LEGACY_KEYS.SPREADSHEET_ID) || '';
+    if (!gasUrl && !apiKey && !spreadsheetId) return [];
+
+    const profile = {
+        ...DEFAULT_PROFILE,
+        id: createProfileId(),
+        name: '事業所1',
+        apiKey,
+        spreadsheetId,
+        sheetName: localStorage.getItem(LEGACY_KEYS.SHEET_NAME) || 'Sheet1',
+        autoRefreshInterval: localStorage.getItem(LEGACY_KEYS.AUTO_REFRESH_INTERVAL) || '300000',
+        gasUrl,
+        useGas: localStorage.getItem(LEGACY_KEYS.USE_GAS) === 'true',
+    };
+
+    writeProfiles([profile]);
+    localStorage.setItem(STORAGE_KEYS.ACTIVE_PROFILE, profile.id);
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+
+    return [profile];
+}
+
+function writeProfiles(profiles) {
+    localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify(profiles));
+}
+
+function createProfileId() {
+    return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 新規プロファイルの初期値を取得
+ * @returns {Object} - IDのないプロファイル
+ */
+export function getDefaultProfile() {
+    return { ...DEFAULT_PROFILE };
+}
+
+/**
+ * プロファイルを取得
+ * @param {string} id - プロファイルID
+ * @returns {Object|null} - プロファイル
+ */
+export function getProfile(id) {
+    return getProfiles().find(profile => profile.id === id) || null;
+}
+
+/**
+ * プロファイルを保存（IDがなければ新規作成）
+ * @param {Object} profile - プロファイル
+ * @returns {Object} - 保存したプロファイル
+ */
+export function saveProfile(profile) {
+    const profiles = getProfiles();
+    const saved = {
+        ...DEFAULT_PROFILE,
+        ...profile,
+        id: profile.id || createProfileId(),
+        name: (profile.name || '').trim() || `事業所${profiles.length + 1}`,
+    };
+
+    const index = profiles.findIndex(p => p.id === saved.id);
+    if (index >= 0) {
+        profiles[index] = saved;
+    } else {
+        profiles.push(saved);
     }
-    if (settings.autoRefreshInterval !== undefined) {
-        localStorage.setItem(STORAGE_KEYS.AUTO_REFRESH_INTERVAL, settings.autoRefreshInterval);
+    writeProfiles(profiles);
+
+    // 最初のプロファイルは自動で選択
+    if (!localStorage.getItem(STORAGE_KEYS.ACTIVE_PROFILE)) {
+        setActiveProfileId(saved.id);
     }
-    if (settings.gasUrl !== undefined) {
-        localStorage.setItem(STORAGE_KEYS.GAS_URL, settings.gasUrl);
+    return saved;
+}
+
+/**
+ * プロファイルを削除
+ * @param {string} id - プロファイルID
+ */
+export function deleteProfile(id) {
+    const profiles = getProfiles().filter(profile => profile.id !== id);
+    writeProfiles(profiles);
+
+    if (getActiveProfileId() === id) {
+        setActiveProfileId(profiles[0]?.id || '');
     }
-    if (settings.useGas !== undefined) {
-        localStorage.setItem(STORAGE_KEYS.USE_GAS, settings.useGas ? 'true' : 'false');
+}
+
+/**
+ * 選択中のプロファイルIDを取得
+ * @returns {string} - プロファイルID（全事業所表示の場合は ALL_PROFILES_ID）
+ */
+export function getActiveProfileId() {
+    const profiles = getProfiles();
+    const id = localStorage.getItem(STORAGE_KEYS.ACTIVE_PROFILE);
+
+    if (id === ALL_PROFILES_ID && profiles.length > 1) return id;
+    if (profiles.some(profile => profile.id === id)) return id;
+    return profiles[0]?.id || '';
+}
+
+/**
+ * 選択中のプロファイルを変更
+ * @param {string} id - プロファイルID（または ALL_PROFILES_ID）
+ */
+export function setActiveProfileId(id) {
+    localStorage.setItem(STORAGE_KEYS.ACTIVE_PROFILE, id);
+}
+
+/**
+ * 表示対象のプロファイルを取得
+ * 全事業所表示の場合は「全事業所表示に含める」プロファイルすべて
+ * @returns {Array<Object>} - プロファイルの配列
+ */
+export function getActiveProfiles() {
+    const activeId = getActiveProfileId();
+    const profiles = getProfiles();
+
+    if (activeId === ALL_PROFILES_ID) {
+        return profiles.filter(profile => profile.includeInAll);
     }
+    return profiles.filter(profile => profile.id === activeId);
+}
+
+/**
+ * 書き込み先のプロファイルを取得（メモ転記などに使用）
+ * 全事業所表示の場合は先頭のプロファイル
+ * @returns {Object|null} - プロファイル
+ */
+export function getWriteProfile() {
+    const activeId = getActiveProfileId();
+    const profiles = getProfiles();
+    return profiles.find(profile => profile.id === activeId) || profiles[0] || null;
+}
+
+/**
+ * 設定を保存（選択中のプロファイルを更新）
+ * @param {Object} settings - 設定オブジェクト
+ */
+export function saveSettings(settings) {
+    const current = getWriteProfile();
+    saveProfile({ ...current, ...settings });
 }
 
 /**
- * 設定を読み込み
+ * 設定を読み込み（選択中のプロファイルの設定）
  * @returns {Object} - 設定オブジェクト
  */
 export function loadSettings() {
-    return {
-        apiKey: localStorage.getItem(STORAGE_KEYS.API_KEY) || '',
-        spreadsheetId: localStorage.getItem(STORAGE_KEYS.SPREADSHEET_ID) || '',
-        sheetName: localStorage.getItem(STORAGE_KEYS.SHEET_NAME) || 'Sheet1',
-        autoRefreshInterval: localStorage.getItem(STORAGE_KEYS.AUTO_REFRESH_INTERVAL) || '300000',
-        gasUrl: localStorage.getItem(STORAGE_KEYS.GAS_URL) || '',
-        useGas: localStorage.getItem(STORAGE_KEYS.USE_GAS) === 'true',
-    };
+    return { ...DEFAULT_PROFILE, ...getWriteProfile() };
 }
 
 /**
- * データをキャッシュ
- * @param {Array} data - キャッシュするデータ
+ * スタッフの週の勤務時間の上限を取得
+ * @returns {number} - 時間数
  */
-export function cacheData(data) {
-    localStorage.setItem(STORAGE_KEYS.CACHED_DATA, JSON.stringify(data));
-    localStorage.setItem(STORAGE_KEYS.LAST_SYNC, new Date().toISOString());
+export function getWeeklyHourLimit() {
+    const limit = Number(localStorage.getItem(STORAGE_KEYS.WEEKLY_HOUR_LIMIT));
+    return limit > 0 ? limit : DEFAULT_WEEKLY_HOUR_LIMIT;
 }
 
 /**
- * キャッシュされたデータを取得
- * @returns {Array|null} - キャッシュされたデータ
+ * スタッフの週の勤務時間の上限を保存
+ * @param {number} hours - 時間数
  */
-export function getCachedData() {
-    const cached = localStorage.getItem(STORAGE_KEYS.CACHED_DATA);
-    return cached ? JSON.parse(cached) : null;
+export function setWeeklyHourLimit(hours) {
+    const limit = Number(hours);
+    if (!Number.isFinite(limit) || limit <= 0 || limit > 168) {
+        throw new Error('週の上限時間は1〜168の数値で入力してください');
+    }
+    localStorage.setItem(STORAGE_KEYS.WEEKLY_HOUR_LIMIT, String(limit));
 }
 
 /**
- * 最終同期時刻を取得
- * @returns {string|null} - 最終同期時刻
+ * 未請求を強調する経過日数を取得
+ * @returns {number} - 日数
  */
-export function getLastSyncTime() {
-    return localStorage.getItem(STORAGE_KEYS.LAST_SYNC);
+export function getBillingAgeThreshold() {
+    const days = Number(localStorage.getItem(STORAGE_KEYS.BILLING_AGE_THRESHOLD));
+    return days > 0 ? days : DEFAULT_BILLING_AGE_THRESHOLD;
+}
+
+/**
+ * 未請求を強調する経過日数を保存
+ * @param {number} days - 日数
+ */
+export function setBillingAgeThreshold(days) {
+    const threshold = Number(days);
+    if (!Number.isInteger(threshold) || threshold <= 0 || threshold > 365) {
+        throw new Error('経過日数は1〜365の整数で入力してください');
+    }
+    localStorage.setItem(STORAGE_KEYS.BILLING_AGE_THRESHOLD, String(threshold));
 }
 
 /**
  * すべてのデータをクリア
  */
 export function clearAllData() {
-    Object.values(STORAGE_KEYS).forEach(key => {
+    [...Object.values(STORAGE_KEYS), ...Object.values(LEGACY_KEYS)].forEach(key => {
         localStorage.removeItem(key);
     });
 }
 
 /**
  * 設定が完了しているかチェック
+ * @param {Object} settings - 設定オブジェクト（省略時は選択中のプロファイル）
  * @returns {boolean} - 設定完了/未完了
  */
-export function isConfigured() {
-    const settings = loadSettings();
+export function isConfigured(settings = loadSettings()) {
     // GASを使う場合はGAS URLが必要、APIキーを使う場合はAPIキーとスプレッドシートIDが必要
     if (settings.useGas) {
         return !!settings.gasUrl;
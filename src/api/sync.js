@@ -0,0 +1,98 @@
+/**
+ * 差分同期モジュール
+ * 前回同期時のリビジョン（シートごとのハッシュと行数）を送り、
+ * 変更のあったシート・追加された行だけを取得して手元のデータに反映する
+ */
+
+import { convertToObjects } from './gasApi.js';
+
+/**
+ * シートデータを同期
+ * データソースが fetchChanges を持たない場合は全件取得する
+ * @param {Object} dataSource - createDataSource() で作成したデータソース
+ * @param {Object} previous - 前回の同期結果 { sheets, syncState }
+ * @param {Object} options - { onProgress }（全件取得時に (取得済みの行数, 全体の行数) で呼ばれる）
+ * @returns {Promise<Object>} - { sheetList, sheets, syncState, stats, changedSheets }
+ *   changedSheets は変更のあったシート名の配列（全件取得時はnull）
+ */
+export async function syncSheets(dataSource, previous = {}, { onProgress } = {}) {
+    if (typeof dataSource.fetchChanges !== 'function') {
+        return fetchAllSheets(dataSource, onProgress);
+    }
+
+    const previousSheets = previous.sheets || {};
+    const previousState = previous.syncState || {};
+
+    // 手元にデータがあるシートのリビジョンだけを送る
+    const since = {};
+    Object.entries(previousState).forEach(([sheetName, state]) => {
+        if (previousSheets[sheetName]) {
+            since[sheetName] = { hash: state.hash, rowCount: state.rowCount };
+        }
+    });
+
+    let result;
+    try {
+        result = await dataSource.fetchChanges(since);
+    } catch (error) {
+        // 差分取得に未対応の古いGASスクリプトの場合は全件取得
+        if (String(error.message).includes('Invalid action')) {
+            console.warn('差分同期に未対応のため全件取得します:', error.message);
+            return fetchAllSheets(dataSource, onProgress);
+        }
+        throw error;
+    }
+
+    const sheets = {};
+    const syncState = {};
+    const stats = { mode: 'incremental', unchanged: 0, appended: 0, full: 0 };
+    const changedSheets = [];
+
+    Object.entries(result.changes || {}).forEach(([sheetName, change]) => {
+        const state = previousState[sheetName];
+
+        if (change.status === 'unchanged') {
+            sheets[sheetName] = previousSheets[sheetName];
+            syncState[sheetName] = { ...state, hash: change.hash, rowCount: change.rowCount };
+            stats.unchanged++;
+        } else if (change.status === 'appended') {
+            const newRows = convertToObjects([state.header, ...change.rows]);
+            sheets[sheetName] = [...previousSheets[sheetName], ...newRows];
+            syncState[sheetName] = { header: state.header, hash: change.hash, rowCount: change.rowCount };
+            stats.appended++;
+            changedSheets.push(sheetName);
+        } else {
+            sheets[sheetName] = convertToObjects(change.data);
+            syncState[sheetName] = { header: change.data?.[0] || [], hash: change.hash, rowCount: change.rowCount };
+            stats.full++;
+            changedSheets.push(sheetName);
+        }
+    });
+
+    return {
+        sheetList: result.sheets || [],
+        sheets,
+        syncState,
+        stats,
+        changedSheets,
+    };
+}
+
+/**
+ * 全件取得（差分同期に未対応のデータソース用）
+ * @param {Object} dataSource - データソース
+ * @param {Function} onProgress - 進み具合の通知（省略可）
+ * @returns {Promise<Object>} - { sheetList, sheets, syncState, stats, changedSheets }
+ */
+async function fetchAllSheets(dataSource, onProgress) {
+    const sheetList = await dataSource.listSheets();
+    const sheets = sheetList.length > 0 ? await dataSource.fetchAll(onProgress, sheetList) : {};
+
+    return {
+        sheetList,
+        sheets,
+        syncState: null,
+        stats: { mode: 'full', full: sheetList.length },
+        changedSheets: null,
+    };
+}
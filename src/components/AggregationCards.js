@@ -0,0 +1,143 @@
+/**
+ * Aggregation Cards Component
+ * Extra stat cards that count, sum or total the service hours of the visible rows grouped by a column.
+ * Definitions are stored per sheet (see api/aggregations.js).
+ */
+
+import { getAggregations, addAggregation, removeAggregation } from '../api/aggregations.js';
+import { aggregateData, findDurationFields, AGGREGATE_FUNCTIONS } from '../utils/dataProcessor.js';
+import { COLUMN_TYPES } from '../utils/schema.js';
+import { escapeHtml } from '../utils/html.js';
+
+const MAX_GROUPS = 5; // Groups listed per card; the rest are summed into その他
+
+export class AggregationCards {
+  constructor(containerId, onMessage) {
+    this.container = document.getElementById(containerId);
+    this.onMessage = onMessage; // Callback with (message, type) for notifications
+    this.sheetName = null;
+    this.data = [];
+    this.schema = {};
+    this.showForm = false;
+  }
+
+  /**
+   * Render the cards for the rows currently shown
+   */
+  render(sheetName, data, schema) {
+    if (sheetName !== this.sheetName) this.showForm = false;
+    this.sheetName = sheetName;
+    this.data = data;
+    this.schema = schema || {};
+
+    const definitions = getAggregations(sheetName);
+
+    this.container.innerHTML = `
+      ${definitions.map(definition => this.createCard(definition)).join('')}
+      ${this.showForm ? this.createForm() : `
+        <button class="stat-card aggregation-add" id="addAggregationBtn">＋ 集計を追加</button>
+      `}
+    `;
+
+    this.container.querySelectorAll('.aggregation-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        removeAggregation(this.sheetName, btn.dataset.id);
+        this.rerender();
+      });
+    });
+
+    document.getElementById('addAggregationBtn')?.addEventListener('click', () => {
+      this.showForm = true;
+      this.rerender();
+    });
+
+    if (this.showForm) this.bindForm();
+  }
+
+  rerender() {
+    this.render(this.sheetName, this.data, this.schema);
+  }
+
+  createCard(definition) {
+    const groups = aggregateData(this.data, definition, this.schema);
+    const shown = groups.slice(0, MAX_GROUPS);
+    const rest = groups.slice(MAX_GROUPS).reduce((sum, group) => sum + group.value, 0);
+    const total = groups.reduce((sum, group) => sum + group.value, 0);
+    const label = {
+      sum: `${definition.groupBy}別 ${definition.field}の${AGGREGATE_FUNCTIONS.sum}`,
+      hours: `${definition.groupBy}別 サービス${AGGREGATE_FUNCTIONS.hours}`,
+    }[definition.fn] || `${definition.groupBy}別 ${AGGREGATE_FUNCTIONS.count}`;
+    const unit = definition.fn === 'hours' ? 'h' : '';
+
+    return `
+      <div class="stat-card aggregation-card">
+        <button class="icon-btn aggregation-remove" data-id="${definition.id}" title="この集計を削除">✕</button>
+        <span class="stat-label">${escapeHtml(label)}</span>
+        ${groups.length === 0 ? '<p class="aggregation-empty">該当データなし</p>' : `
+          <ul class="aggregation-list">
+            ${shown.map(group => `
+              <li><span>${escapeHtml(group.key)}</span><strong>${formatAmount(group.value)}${unit}</strong></li>
+            `).join('')}
+            ${rest > 0 ? `<li class="aggregation-rest"><span>その他 ${groups.length - MAX_GROUPS}件</span><strong>${formatAmount(rest)}${unit}</strong></li>` : ''}
+          </ul>
+          <div class="aggregation-total">計 ${formatAmount(total)}${unit}</div>
+        `}
+      </div>
+    `;
+  }
+
+  createForm() {
+    const fields = Object.keys(this.data[0] || this.schema);
+    const numberFields = fields.filter(field => this.schema[field]?.type === COLUMN_TYPES.NUMBER);
+    const options = list => list.map(field => `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`).join('');
+
+    return `
+      <div class="stat-card aggregation-card aggregation-form">
+        <span class="stat-label">集計を追加</span>
+        <select id="aggregationGroupBy" class="input-field">${options(fields)}</select>
+        <select id="aggregationFn" class="input-field">
+          <option value="count">${AGGREGATE_FUNCTIONS.count}</option>
+          ${numberFields.length > 0 ? `<option value="sum">${AGGREGATE_FUNCTIONS.sum}</option>` : ''}
+          ${findDurationFields(this.data, this.schema) ? `<option value="hours">サービス${AGGREGATE_FUNCTIONS.hours}</option>` : ''}
+        </select>
+        <select id="aggregationField" class="input-field hidden">${options(numberFields)}</select>
+        <div class="button-group">
+          <button id="cancelAggregationBtn" class="btn btn-secondary">キャンセル</button>
+          <button id="saveAggregationBtn" class="btn btn-primary">追加</button>
+        </div>
+      </div>
+    `;
+  }
+
+  bindForm() {
+    const fnSelect = document.getElementById('aggregationFn');
+    const fieldSelect = document.getElementById('aggregationField');
+
+    fnSelect.addEventListener('change', () => {
+      fieldSelect.classList.toggle('hidden', fnSelect.value !== 'sum');
+    });
+
+    document.getElementById('cancelAggregationBtn').addEventListener('click', () => {
+      this.showForm = false;
+      this.rerender();
+    });
+
+    document.getElementById('saveAggregationBtn').addEventListener('click', () => {
+      try {
+        addAggregation(this.sheetName, {
+          groupBy: document.getElementById('aggregationGroupBy').value,
+          fn: fnSelect.value,
+          field: fieldSelect.value,
+        });
+        this.showForm = false;
+        this.rerender();
+      } catch (error) {
+        this.onMessage(`❌ ${error.message}`, 'error');
+      }
+    });
+  }
+}
+
+function formatAmount(value) {
+  return Number.isInteger(value) ? value.toLocaleString('ja-JP') : value.toLocaleString('ja-JP', { maximumFractionDigits: 2 });
+}
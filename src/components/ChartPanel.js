@@ -0,0 +1,159 @@
+/**
+ * Chart Panel Component
+ * Draws daily visit counts, the サービス breakdown and shift coverage per day
+ * from the rows currently shown on the dashboard.
+ */
+
+import { createColumnChart, createBreakdownChart } from '../utils/charts.js';
+import { aggregateData, findDateField } from '../utils/dataProcessor.js';
+import { isBlank, parseDate, toDateKey } from '../utils/schema.js';
+import { escapeHtml } from '../utils/html.js';
+
+const STORAGE_KEY = 'care_dashboard_charts_open';
+const MAX_DAYS = 62;        // Days drawn in the daily charts (the most recent ones)
+const MAX_SERVICES = 8;     // Services listed before the rest become その他
+const OFF_SHIFTS = ['休み', '休', '公休', '有休'];
+
+export class ChartPanel {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId);
+    this.open = localStorage.getItem(STORAGE_KEY) !== 'false';
+  }
+
+  /**
+   * Render the charts that apply to the given rows
+   */
+  render(data, schema) {
+    const charts = data.length > 0 ? this.createCharts(data, schema) : [];
+
+    if (charts.length === 0) {
+      this.container.classList.add('hidden');
+      this.container.innerHTML = '';
+      return;
+    }
+
+    this.container.classList.remove('hidden');
+    this.container.innerHTML = `
+      <button class="chart-toggle" id="chartToggleBtn">
+        📊 グラフ <span class="chart-toggle-icon">${this.open ? '▲' : '▼'}</span>
+      </button>
+      ${this.open ? `
+        <div class="chart-grid-container">
+          ${charts.map(chart => `
+            <section class="chart-card">
+              <h3 class="chart-title">${escapeHtml(chart.title)}</h3>
+              ${chart.svg}
+              ${chart.legend || ''}
+              ${chart.note ? `<p class="chart-note">${chart.note}</p>` : ''}
+            </section>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+
+    document.getElementById('chartToggleBtn').addEventListener('click', () => {
+      this.open = !this.open;
+      localStorage.setItem(STORAGE_KEY, String(this.open));
+      this.render(data, schema);
+    });
+  }
+
+  createCharts(data, schema) {
+    const charts = [];
+    const fields = Object.keys(data[0]);
+    const dateField = findDateField(data, schema);
+    const serviceField = fields.find(field => field.includes('サービス'));
+    const shiftField = fields.find(field => field.includes('シフト'));
+
+    if (dateField && !shiftField) {
+      const counts = aggregateData(data, { groupBy: dateField }, schema);
+      const days = fillDays(counts.map(group => group.key));
+      if (days.keys.length > 0) {
+        const byDay = new Map(counts.map(group => [group.key, group.value]));
+        charts.push({
+          title: '日別の件数',
+          svg: createColumnChart(
+            days.keys.map(key => ({ label: formatDayLabel(key), title: key, values: { count: byDay.get(key) || 0 } })),
+            [{ key: 'count', label: '件数' }]
+          ),
+          note: days.truncated ? `直近${MAX_DAYS}日を表示` : '',
+        });
+      }
+    }
+
+    if (serviceField) {
+      const groups = aggregateData(data, { groupBy: serviceField }, schema);
+      const items = groups.slice(0, MAX_SERVICES).map(group => ({ label: group.key, value: group.value }));
+      const rest = groups.slice(MAX_SERVICES).reduce((sum, group) => sum + group.value, 0);
+      if (rest > 0) items.push({ label: 'その他', value: rest });
+
+      charts.push({ title: `${serviceField}別の内訳`, svg: createBreakdownChart(items) });
+    }
+
+    if (dateField && shiftField) {
+      charts.push(this.createCoverageChart(data, dateField, shiftField));
+    }
+
+    return charts;
+  }
+
+  /**
+   * Staff on duty per day, stacked by shift type (days off are excluded)
+   */
+  createCoverageChart(data, dateField, shiftField) {
+    const byDay = new Map();
+    const shiftTypes = [];
+
+    data.forEach(item => {
+      const date = parseDate(item[dateField]);
+      const shift = String(item[shiftField] ?? '').trim();
+      if (!date || isBlank(shift) || OFF_SHIFTS.includes(shift)) return;
+
+      const key = toDateKey(date);
+      if (!byDay.has(key)) byDay.set(key, {});
+      const counts = byDay.get(key);
+      counts[shift] = (counts[shift] || 0) + 1;
+      if (!shiftTypes.includes(shift)) shiftTypes.push(shift);
+    });
+
+    const days = fillDays([...byDay.keys()]);
+    const series = shiftTypes.map(shift => ({ key: shift, label: shift }));
+
+    return {
+      title: '日別の勤務人数',
+      svg: createColumnChart(
+        days.keys.map(key => ({ label: formatDayLabel(key), title: key, values: byDay.get(key) || {} })),
+        series
+      ),
+      legend: `
+        <div class="chart-legend">
+          ${series.map((s, index) => `<span><i class="chart-swatch chart-series-${index % 5}"></i>${escapeHtml(s.label)}</span>`).join('')}
+        </div>
+      `,
+      note: days.truncated ? `直近${MAX_DAYS}日を表示` : '',
+    };
+  }
+}
+
+/**
+ * Every day between the first and last key, limited to the most recent MAX_DAYS
+ */
+function fillDays(dateKeys) {
+  const valid = dateKeys.filter(key => /^\d{4}-\d{2}-\d{2}$/.test(key)).sort();
+  if (valid.length === 0) return { keys: [], truncated: false };
+
+  const keys = [];
+  const end = parseDate(valid[valid.length - 1]);
+  const day = parseDate(valid[0]);
+  while (day <= end) {
+    keys.push(toDateKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+
+  return { keys: keys.slice(-MAX_DAYS), truncated: keys.length > MAX_DAYS };
+}
+
+function formatDayLabel(key) {
+  const [, month, day] = key.split('-');
+  return `${Number(month)}/${Number(day)}`;
+}
@@ -0,0 +1,161 @@
+/**
+ * CSV Import Panel Component
+ * Imports かんたん介護 / ノウビー / シフト CSV exports as local sheets,
+ * optionally appending them to the spreadsheet through the GAS endpoint.
+ */
+
+import { readCsvFile, KNOWN_LAYOUTS } from '../utils/csvImport.js';
+import { getProfiles, getProfile, getWriteProfile } from '../api/storage.js';
+import { getLocalSheets, saveLocalSheet, deleteLocalSheet } from '../api/datasetCache.js';
+import { createDataSource, getDataSourceType, validateDataSourceSettings } from '../api/dataSource.js';
+import { formatDate } from '../utils/dataProcessor.js';
+import { escapeHtml } from '../utils/html.js';
+
+export class CsvImportPanel {
+  constructor(containerId, onChange, onMessage) {
+    this.container = document.getElementById(containerId);
+    this.onChange = onChange;   // Callback after local sheets were added or removed
+    this.onMessage = onMessage; // Callback with (message, type) for notifications
+  }
+
+  /**
+   * Render the import form and the list of local sheets
+   */
+  render() {
+    // Offices the rows can be appended to; the office being viewed is selected first
+    const pushProfiles = getProfiles()
+      .filter(profile => getDataSourceType(profile) === 'gas' && !validateDataSourceSettings(profile));
+    const writeProfileId = getWriteProfile()?.id;
+    const canPush = pushProfiles.length > 0;
+
+    this.container.innerHTML = `
+      <h3>📁 CSVインポート</h3>
+      <div class="form-group">
+        <label for="csvFileInput">CSVファイル</label>
+        <input type="file" id="csvFileInput" accept=".csv,text/csv" multiple class="input-field">
+        <small>かんたん介護・ノウビー・シフト表のCSVを端末内のシートとして読み込みます（Shift_JIS / UTF-8 自動判定）</small>
+      </div>
+
+      <div class="form-group">
+        <label for="csvLayout">レイアウト</label>
+        <select id="csvLayout" class="input-field">
+          <option value="auto">自動判定</option>
+          ${KNOWN_LAYOUTS.map(layout => `<option value="${layout.id}">${escapeHtml(layout.label)}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label>
+          <input type="checkbox" id="csvPushToSheet" ${canPush ? '' : 'disabled'}>
+          スプレッドシートにも追加する (GAS)
+        </label>
+        ${canPush ? `
+          <select id="csvPushProfile" class="input-field">
+            ${pushProfiles.map(profile => `
+              <option value="${escapeHtml(profile.id)}" ${profile.id === writeProfileId ? 'selected' : ''}>追加先: ${escapeHtml(profile.name)}</option>
+            `).join('')}
+          </select>
+          <small>同じ名前のシートがあれば、1行目の列名に合わせて追加します</small>
+        ` : '<small>GAS接続を設定すると、読み込んだ行をスプレッドシートへ追加できます</small>'}
+      </div>
+
+      <div class="button-group">
+        <button id="csvImportBtn" class="btn btn-primary">読み込む</button>
+      </div>
+
+      <div id="localSheetList" class="local-sheet-list"></div>
+    `;
+
+    document.getElementById('csvImportBtn').addEventListener('click', () => this.handleImport());
+    this.renderLocalSheets();
+  }
+
+  async renderLocalSheets() {
+    const listContainer = document.getElementById('localSheetList');
+    const sheets = await getLocalSheets();
+
+    if (sheets.length === 0) {
+      listContainer.innerHTML = '';
+      return;
+    }
+
+    listContainer.innerHTML = sheets.map(sheet => `
+      <div class="local-sheet-item">
+        <div>
+          <strong>📁 ${escapeHtml(sheet.title)}</strong>
+          <small>${escapeHtml(sheet.fileName)} ・ ${sheet.data.length - 1}行 ・ ${escapeHtml(sheet.encoding)} ・ ${formatDate(sheet.importedAt)}</small>
+        </div>
+        <button class="icon-btn delete-btn" data-title="${escapeHtml(sheet.title)}" title="削除">🗑️</button>
+      </div>
+    `).join('');
+
+    listContainer.querySelectorAll('.delete-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const title = e.currentTarget.dataset.title;
+        if (!confirm(`ローカルシート「${title}」を削除しますか？`)) return;
+
+        await deleteLocalSheet(title);
+        this.renderLocalSheets();
+        this.onChange();
+      });
+    });
+  }
+
+  async handleImport() {
+    const files = Array.from(document.getElementById('csvFileInput').files || []);
+    const layoutId = document.getElementById('csvLayout').value;
+    const pushToSheet = document.getElementById('csvPushToSheet').checked;
+    const pushProfile = pushToSheet ? getProfile(document.getElementById('csvPushProfile')?.value) : null;
+
+    if (files.length === 0) {
+      this.onMessage('CSVファイルを選択してください', 'error');
+      return;
+    }
+
+    const button = document.getElementById('csvImportBtn');
+    button.disabled = true;
+
+    try {
+      const imported = [];
+      for (const file of files) {
+        imported.push(await readCsvFile(file, layoutId));
+      }
+
+      for (const sheet of imported) {
+        await saveLocalSheet(sheet);
+      }
+      this.onMessage(`✅ ${imported.map(sheet => sheet.title).join(', ')} を読み込みました`, 'success');
+
+      if (pushProfile) await this.pushToSheet(imported, pushProfile);
+    } catch (error) {
+      console.error('CSV import error:', error);
+      this.onMessage(`❌ CSVの読み込みに失敗しました: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+      document.getElementById('csvFileInput').value = '';
+      this.renderLocalSheets();
+      this.onChange();
+    }
+  }
+
+  /**
+   * Append the imported rows to the chosen office's spreadsheet. The local import has already
+   * succeeded, so a failure here is reported on its own (importing again would duplicate the rows).
+   * The CSV header goes along so GAS puts each value in the sheet column of the same name.
+   */
+  async pushToSheet(imported, profile) {
+    const pushed = [];
+    try {
+      const dataSource = createDataSource(profile);
+      for (const sheet of imported) {
+        await dataSource.appendRows(sheet.title, sheet.data.slice(1), sheet.data[0]);
+        pushed.push(sheet.title);
+      }
+      this.onMessage(`✅ ${imported.length}件のCSVを「${profile.name}」のスプレッドシートに追加しました`, 'success');
+    } catch (error) {
+      console.error('CSV push error:', error);
+      const done = pushed.length > 0 ? `（${pushed.join(', ')} は追加済み）` : '';
+      this.onMessage(`❌ 「${profile.name}」のスプレッドシートへの追加に失敗しました${done}: ${error.message}。CSVの読み込みは完了しています`, 'error');
+    }
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * Data List Component
+ * Renders the dashboard rows a page at a time as the list scrolls, and keeps only a
+ * few pages in the DOM: pages scrolled far out of view are taken out and replaced by
+ * top and bottom spacers of the same height, so sheets with thousands of rows stay responsive.
+ * Clicks are handled by one delegated listener on the container.
+ */
+
+const PAGE_SIZE = 120;          // Rows per page (divides evenly into 1–6 card columns, so taking a page out does not reflow the rest)
+const MAX_PAGES = 3;            // Pages kept in the DOM at a time
+const PRELOAD_MARGIN = '600px'; // Render the next page this far before the end is visible
+
+export class DataList {
+  constructor(containerId, onItemClick) {
+    this.container = document.getElementById(containerId);
+    this.onItemClick = onItemClick; // Callback with the row item when a row is tapped
+    this.data = [];
+    this.renderItem = null;
+    this.body = this.container;   // Element the rows are added to
+    this.footer = this.container; // Element the "more" button is appended to
+    this.pages = [];              // Rendered pages in order: { page, elements }
+    this.pageHeights = new Map(); // Page number -> height of a page that was taken out
+    this.topSpacer = null;
+    this.bottomSpacer = null;
+    this.observer = null;
+
+    this.container.addEventListener('click', (e) => {
+      if (e.target.closest('.data-list-more')) {
+        this.renderMore();
+        return;
+      }
+
+      const row = e.target.closest('[data-index]');
+      if (row && this.container.contains(row) && this.data[row.dataset.index]) {
+        this.onItemClick(this.data[row.dataset.index]);
+      }
+    });
+  }
+
+  /**
+   * Render the first page of rows
+   * @param {Array<Object>} data - All rows to list (search, filter and sort already applied)
+   * @param {Function} renderItem - Returns the HTML of a row from (item, index); the element must carry data-index
+   * @param {string} frame - Optional HTML around the rows (e.g. a table); rows go into [data-list-body],
+   *   the "more" button into [data-list-footer], and [data-list-scroll] marks an inner scroll container
+   */
+  render(data, renderItem, frame = '') {
+    this.clear();
+    this.data = data;
+    this.renderItem = renderItem;
+
+    this.container.innerHTML = frame;
+    this.body = this.container.querySelector('[data-list-body]') || this.container;
+    this.footer = this.container.querySelector('[data-list-footer]') || this.container;
+
+    this.topSpacer = this.createSpacer();
+    this.bottomSpacer = this.createSpacer();
+    this.body.append(this.topSpacer, this.bottomSpacer);
+
+    this.observer = typeof IntersectionObserver === 'function'
+      ? new IntersectionObserver(entries => this.handleIntersection(entries), {
+        root: this.container.querySelector('[data-list-scroll]'),
+        rootMargin: PRELOAD_MARGIN,
+      })
+      : null;
+
+    this.renderMore();
+  }
+
+  /**
+   * Add the page after the last rendered one, and take the first page out if there are too many
+   */
+  renderMore() {
+    const last = this.pages[this.pages.length - 1];
+    const page = last ? last.page + 1 : 0;
+    if (page * PAGE_SIZE >= this.data.length) return;
+
+    this.pages.push(this.renderPage(page, this.bottomSpacer));
+    this.resizeSpacer(this.bottomSpacer, -this.takeHeight(page));
+
+    // Without an observer nothing would bring removed pages back, so keep everything
+    if (this.observer && this.pages.length > MAX_PAGES) {
+      const [removed, next] = this.pages;
+      const height = next.elements[0].getBoundingClientRect().top - removed.elements[0].getBoundingClientRect().top;
+      this.removePage(this.pages.shift(), height);
+      this.resizeSpacer(this.topSpacer, height);
+    }
+
+    this.updateMoreButton();
+    this.observe();
+  }
+
+  /**
+   * Add the page before the first rendered one back, and take the last page out if there are too many
+   */
+  renderPrevious() {
+    const first = this.pages[0];
+    if (!first || first.page === 0) return;
+
+    const page = first.page - 1;
+    this.pages.unshift(this.renderPage(page, this.topSpacer.nextSibling));
+    this.resizeSpacer(this.topSpacer, -this.takeHeight(page));
+
+    if (this.pages.length > MAX_PAGES) {
+      const [previous, removed] = this.pages.slice(-2);
+      const height = removed.elements[removed.elements.length - 1].getBoundingClientRect().bottom
+        - previous.elements[previous.elements.length - 1].getBoundingClientRect().bottom;
+      this.removePage(this.pages.pop(), height);
+      this.resizeSpacer(this.bottomSpacer, height);
+    }
+
+    this.updateMoreButton();
+    this.observe();
+  }
+
+  /**
+   * Insert the rows of a page before the given element
+   */
+  renderPage(page, before) {
+    const start = page * PAGE_SIZE;
+    const end = Math.min(start + PAGE_SIZE, this.data.length);
+    const template = document.createElement('template');
+    template.innerHTML = this.data.slice(start, end).map((item, offset) => this.renderItem(item, start + offset)).join('');
+
+    const elements = [...template.content.children];
+    this.body.insertBefore(template.content, before);
+    return { page, elements };
+  }
+
+  removePage({ page, elements }, height) {
+    elements.forEach(element => element.remove());
+    this.pageHeights.set(page, height);
+  }
+
+  /**
+   * Height a page took up while it was out of the DOM (0 if it was never rendered)
+   */
+  takeHeight(page) {
+    const height = this.pageHeights.get(page) || 0;
+    this.pageHeights.delete(page);
+    return height;
+  }
+
+  createSpacer() {
+    // Spacers sit among the rows, so in a table they have to be rows too
+    const isTable = this.body.tagName === 'TBODY';
+    const spacer = document.createElement(isTable ? 'tr' : 'div');
+    spacer.className = 'data-list-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    if (isTable) spacer.append(document.createElement('td'));
+    spacer.dataset.height = '0';
+    return spacer;
+  }
+
+  resizeSpacer(spacer, change) {
+    const height = Math.max(Number(spacer.dataset.height) + change, 0);
+    spacer.dataset.height = String(height);
+    spacer.style.height = `${height}px`;
+  }
+
+  /**
+   * Show the "more" button at the end while rows after the rendered pages are left
+   */
+  updateMoreButton() {
+    this.container.querySelector('.data-list-more')?.remove();
+
+    const last = this.pages[this.pages.length - 1];
+    const remaining = this.data.length - Math.min((last.page + 1) * PAGE_SIZE, this.data.length);
+    if (remaining === 0) return;
+
+    this.footer.insertAdjacentHTML('beforeend', `
+      <button class="btn btn-secondary full-width data-list-more">さらに表示（残り${remaining}件）</button>
+    `);
+  }
+
+  /**
+   * Watch both spacers; observing again reports them right away if they are still on screen
+   */
+  observe() {
+    if (!this.observer) return;
+    this.observer.disconnect();
+    this.observer.observe(this.topSpacer);
+    this.observer.observe(this.bottomSpacer);
+  }
+
+  handleIntersection(entries) {
+    const visible = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+
+    if (visible.includes(this.topSpacer) && this.pages[0]?.page > 0) {
+      this.renderPrevious();
+    } else if (visible.includes(this.bottomSpacer)) {
+      this.renderMore();
+    }
+  }
+
+  /**
+   * Empty the list (the container can then be used for an empty state)
+   */
+  clear() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.container.innerHTML = '';
+    this.data = [];
+    this.pages = [];
+    this.pageHeights.clear();
+    this.topSpacer = null;
+    this.bottomSpacer = null;
+  }
+}
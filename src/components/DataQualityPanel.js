@@ -0,0 +1,94 @@
+/**
+ * Data Quality Panel Component
+ * Lists the data problems of the current sheet with spreadsheet row numbers
+ * so the office can fix them at the source.
+ */
+
+import { ISSUE_LABELS, countIssues } from '../utils/dataQuality.js';
+import { escapeHtml } from '../utils/html.js';
+
+const ISSUES_PER_PAGE = 50;
+
+export class DataQualityPanel {
+  constructor(containerId, onRowClick) {
+    this.container = document.getElementById(containerId);
+    this.onRowClick = onRowClick; // Callback with the row item when an issue is tapped
+    this.open = false;
+    this.visibleIssues = ISSUES_PER_PAGE;
+    this.sheetName = null;
+  }
+
+  /**
+   * Render the problems of a sheet (hidden when there are none)
+   * @param {string} sheetName - Sheet name
+   * @param {Object} quality - Result of checkDataQuality()
+   */
+  render(sheetName, quality) {
+    if (sheetName !== this.sheetName) {
+      this.open = false;
+      this.visibleIssues = ISSUES_PER_PAGE;
+    }
+    this.sheetName = sheetName;
+    this.quality = quality;
+
+    const total = quality ? countIssues(quality) : 0;
+    if (total === 0) {
+      this.container.classList.add('hidden');
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const breakdown = Object.entries(quality.counts)
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `${ISSUE_LABELS[type]} ${count}`)
+      .join('・');
+    const hasErrors = quality.errors.length > 0;
+
+    this.container.classList.remove('hidden');
+    this.container.classList.toggle('has-errors', hasErrors);
+    this.container.innerHTML = `
+      <button class="data-quality-toggle" id="dataQualityToggleBtn">
+        ${hasErrors ? '❌' : '⚠️'} データの問題 ${total}件${breakdown ? `（${breakdown}）` : ''}
+        <span class="chart-toggle-icon">${this.open ? '▲' : '▼'}</span>
+      </button>
+      ${this.open ? this.createList() : ''}
+    `;
+
+    document.getElementById('dataQualityToggleBtn').addEventListener('click', () => {
+      this.open = !this.open;
+      this.render(this.sheetName, this.quality);
+    });
+
+    this.container.querySelectorAll('.data-quality-issue[data-index]').forEach(el => {
+      el.addEventListener('click', () => this.onRowClick(this.quality.issues[el.dataset.index].item));
+    });
+
+    document.getElementById('dataQualityMoreBtn')?.addEventListener('click', () => {
+      this.visibleIssues += ISSUES_PER_PAGE;
+      this.render(this.sheetName, this.quality);
+    });
+  }
+
+  createList() {
+    const { errors, warnings, issues } = this.quality;
+    const visible = issues.slice(0, this.visibleIssues);
+
+    return `
+      <div class="data-quality-list">
+        ${[...errors, ...warnings].map(message => `
+          <div class="data-quality-issue sheet-level">${escapeHtml(message)}</div>
+        `).join('')}
+        ${visible.map((issue, index) => `
+          <div class="data-quality-issue" data-index="${index}">
+            <span class="data-quality-row">${issue.rowNumber}行目</span>
+            <span class="data-quality-type">${ISSUE_LABELS[issue.type]}</span>
+            <span class="data-quality-message">${escapeHtml(issue.column)}: ${escapeHtml(issue.message)}</span>
+          </div>
+        `).join('')}
+        ${issues.length > visible.length
+          ? `<button id="dataQualityMoreBtn" class="btn btn-secondary full-width">さらに表示（残り${issues.length - visible.length}件）</button>`
+          : ''}
+      </div>
+    `;
+  }
+}
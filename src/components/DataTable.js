@@ -0,0 +1,158 @@
+/**
+ * Data Table Component
+ * Dense table layout of the dashboard rows with a sticky header, tap-to-sort
+ * column headers and a per-sheet column chooser (see api/sheetLayouts.js).
+ * Rows are appended by DataList; this component builds the frame and the rows.
+ */
+
+import { getShownColumns, setSheetLayout, LAYOUT_MODES } from '../api/sheetLayouts.js';
+import { escapeHtml } from '../utils/html.js';
+
+export class DataTable {
+  constructor(containerId, onSort, onChange, onMessage) {
+    this.container = document.getElementById(containerId);
+    this.onSort = onSort;       // Callback with the column name when a header is tapped
+    this.onChange = onChange;   // Callback to render again after the columns change
+    this.onMessage = onMessage; // Callback with (message, type) for notifications
+    this.chooserOpen = false;
+    this.sheetName = null;
+    this.fields = [];
+    this.columns = [];
+
+    this.container.addEventListener('click', (e) => {
+      const header = e.target.closest('th[data-sort-field]');
+      if (header) {
+        this.onSort(this.fields[header.dataset.sortField]);
+        return;
+      }
+
+      const action = e.target.closest('[data-column-action]');
+      if (action) this.handleColumnAction(action);
+    });
+
+    this.container.addEventListener('change', (e) => {
+      if (e.target.matches('.table-column-toggle')) this.handleColumnToggle(e.target);
+    });
+  }
+
+  /**
+   * Columns shown for a sheet, in order (shared with the cards; see getShownColumns)
+   */
+  getColumns(sheetName, fields) {
+    return getShownColumns(sheetName, fields, LAYOUT_MODES.TABLE);
+  }
+
+  /**
+   * The table frame; DataList adds rows to [data-list-body] and the "more" button to [data-list-footer],
+   * and watches scrolling inside [data-list-scroll]
+   * @param {string} sheetName - Sheet name
+   * @param {Array<string>} fields - All columns of the sheet
+   * @param {Object} sort - Active sort { field, direction }
+   */
+  createFrame(sheetName, fields, sort) {
+    if (sheetName !== this.sheetName) this.chooserOpen = false;
+    this.sheetName = sheetName;
+    this.fields = fields;
+    this.columns = this.getColumns(sheetName, fields);
+    const columns = this.columns;
+
+    return `
+      <div class="table-toolbar">
+        <button class="btn btn-secondary" data-column-action="chooser">⚙️ 列の設定 ${this.chooserOpen ? '▲' : '▼'}</button>
+      </div>
+      ${this.chooserOpen ? this.createChooser(columns) : ''}
+      <div class="data-table-wrapper" data-list-scroll>
+        <table class="data-table">
+          <thead>
+            <tr>
+              ${columns.map(field => `
+                <th data-sort-field="${fields.indexOf(field)}" class="${sort.field === field ? 'sorted' : ''}">
+                  ${escapeHtml(field)}${sort.field === field ? (sort.direction === 'desc' ? ' ▼' : ' ▲') : ''}
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody data-list-body></tbody>
+        </table>
+        <div data-list-footer></div>
+      </div>
+    `;
+  }
+
+  /**
+   * A table row; data-index is the position in the listed rows
+   */
+  createRow(item, index, isDuplicate = false) {
+    return `
+      <tr class="data-row ${isDuplicate ? 'duplicate' : ''}" data-index="${index}">
+        ${this.columns.map(field => `<td>${escapeHtml(item[field])}</td>`).join('')}
+      </tr>
+    `;
+  }
+
+  /**
+   * Shown columns in order (with move buttons), then the hidden ones
+   */
+  createChooser(columns) {
+    const hidden = this.fields.filter(field => !columns.includes(field));
+
+    return `
+      <div class="table-column-chooser">
+        ${[...columns, ...hidden].map((field, position) => {
+          const shown = position < columns.length;
+          const fieldIndex = this.fields.indexOf(field);
+          return `
+            <div class="table-column-option ${shown ? '' : 'hidden-column'}">
+              <label class="visible-column-option">
+                <input type="checkbox" class="table-column-toggle" data-field="${fieldIndex}" ${shown ? 'checked' : ''}>
+                ${escapeHtml(field)}
+              </label>
+              ${shown ? `
+                <button class="icon-btn" data-column-action="up" data-field="${fieldIndex}" ${position === 0 ? 'disabled' : ''} title="左へ">↑</button>
+                <button class="icon-btn" data-column-action="down" data-field="${fieldIndex}" ${position === columns.length - 1 ? 'disabled' : ''} title="右へ">↓</button>
+              ` : ''}
+            </div>
+          `;
+        }).join('')}
+        <button class="btn btn-secondary" data-column-action="reset">すべての列をシートの順に戻す</button>
+      </div>
+    `;
+  }
+
+  handleColumnAction(button) {
+    const action = button.dataset.columnAction;
+
+    if (action === 'chooser') {
+      this.chooserOpen = !this.chooserOpen;
+      this.onChange();
+      return;
+    }
+    if (action === 'reset') {
+      this.saveColumns(null);
+      return;
+    }
+
+    const columns = this.getColumns(this.sheetName, this.fields);
+    const from = columns.indexOf(this.fields[button.dataset.field]);
+    const to = action === 'up' ? from - 1 : from + 1;
+    if (from < 0 || to < 0 || to >= columns.length) return;
+
+    [columns[from], columns[to]] = [columns[to], columns[from]];
+    this.saveColumns(columns);
+  }
+
+  handleColumnToggle(input) {
+    const field = this.fields[input.dataset.field];
+    const columns = this.getColumns(this.sheetName, this.fields);
+    this.saveColumns(input.checked ? [...columns, field] : columns.filter(column => column !== field));
+  }
+
+  saveColumns(columns) {
+    try {
+      setSheetLayout(this.sheetName, { columns });
+    } catch (error) {
+      this.onMessage(`❌ ${error.message}`, 'error');
+    }
+    this.onChange();
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Filter Builder Component
+ * Edits a filter expression (see utils/filterExpression.js) inside the filter modal.
+ * Conditions within a group are ANDed; groups are ORed.
+ */
+
+import { OPERATORS, getOperatorsForColumn, createEmptyExpression } from '../utils/filterExpression.js';
+import { COLUMN_TYPES, COLUMN_TYPE_LABELS } from '../utils/schema.js';
+import { escapeHtml } from '../utils/html.js';
+
+const DATE_TYPES = [COLUMN_TYPES.DATE, COLUMN_TYPES.DATETIME];
+
+export class FilterBuilder {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId);
+    this.fields = [];
+    this.schema = {};
+    this.expression = createEmptyExpression();
+  }
+
+  /**
+   * Set the columns that can be filtered on
+   */
+  setFields(fields, schema) {
+    this.fields = fields;
+    this.schema = schema || {};
+    this.render();
+  }
+
+  /**
+   * Replace the expression being edited
+   */
+  setExpression(expression) {
+    this.expression = structuredClone(expression || createEmptyExpression());
+    this.render();
+  }
+
+  /**
+   * Current expression, including incomplete conditions
+   */
+  getExpression() {
+    return structuredClone(this.expression);
+  }
+
+  render() {
+    const groups = this.expression.groups;
+
+    this.container.innerHTML = `
+      ${groups.map((group, groupIndex) => `
+        ${groupIndex > 0 ? '<div class="filter-or">または</div>' : ''}
+        <div class="filter-group" data-group="${groupIndex}">
+          ${group.conditions.map((condition, conditionIndex) => `
+            ${conditionIndex > 0 ? '<div class="filter-and">かつ</div>' : ''}
+            ${this.createCondition(condition, groupIndex, conditionIndex)}
+          `).join('')}
+          <button class="btn btn-secondary filter-add-condition" data-group="${groupIndex}">＋ 条件を追加</button>
+        </div>
+      `).join('')}
+      <button class="btn btn-secondary filter-add-group">＋ ${groups.length === 0 ? '条件を追加' : 'または（ORグループ）'}</button>
+    `;
+
+    this.container.querySelectorAll('.filter-add-condition').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.expression.groups[Number(btn.dataset.group)].conditions.push(this.createDefaultCondition());
+        this.render();
+      });
+    });
+
+    this.container.querySelector('.filter-add-group').addEventListener('click', () => {
+      this.expression.groups.push({ conditions: [this.createDefaultCondition()] });
+      this.render();
+    });
+
+    this.container.querySelectorAll('.filter-condition').forEach(row => {
+      const groupIndex = Number(row.dataset.group);
+      const conditionIndex = Number(row.dataset.condition);
+      const condition = this.expression.groups[groupIndex].conditions[conditionIndex];
+
+      row.querySelector('.filter-field').addEventListener('change', (e) => {
+        condition.field = e.target.value;
+        // Keep the operator only if the new column supports it
+        if (!getOperatorsForColumn(this.schema[condition.field]).includes(condition.operator)) {
+          condition.operator = 'contains';
+        }
+        this.render();
+      });
+
+      row.querySelector('.filter-operator').addEventListener('change', (e) => {
+        condition.operator = e.target.value;
+        this.render();
+      });
+
+      row.querySelectorAll('.filter-value').forEach(input => {
+        input.addEventListener('input', (e) => {
+          condition[e.target.dataset.key] = e.target.value;
+        });
+      });
+
+      row.querySelector('.filter-remove').addEventListener('click', () => {
+        const conditions = this.expression.groups[groupIndex].conditions;
+        conditions.splice(conditionIndex, 1);
+        if (conditions.length === 0) {
+          this.expression.groups.splice(groupIndex, 1);
+        }
+        this.render();
+      });
+    });
+  }
+
+  createDefaultCondition() {
+    return { field: this.fields[0] || '', operator: 'contains', value: '', value2: '' };
+  }
+
+  createCondition(condition, groupIndex, conditionIndex) {
+    const column = this.schema[condition.field];
+    const operators = getOperatorsForColumn(column);
+
+    return `
+      <div class="filter-condition" data-group="${groupIndex}" data-condition="${conditionIndex}">
+        <select class="input-field filter-field">
+          ${this.fields.map(field => `
+            <option value="${escapeHtml(field)}" ${field === condition.field ? 'selected' : ''}>
+              ${escapeHtml(field)}${this.schema[field] ? ` (${COLUMN_TYPE_LABELS[this.schema[field].type]})` : ''}
+            </option>
+          `).join('')}
+        </select>
+        <select class="input-field filter-operator">
+          ${operators.map(operator => `
+            <option value="${operator}" ${operator === condition.operator ? 'selected' : ''}>${OPERATORS[operator].label}</option>
+          `).join('')}
+        </select>
+        <div class="filter-values">${this.createValueInputs(condition, column)}</div>
+        <button class="icon-btn filter-remove" title="条件を削除">✕</button>
+      </div>
+    `;
+  }
+
+  createValueInputs(condition, column) {
+    const arity = OPERATORS[condition.operator]?.arity;
+    const placeholder = DATE_TYPES.includes(column?.type) ? '例: 2/1・今週' : '値';
+
+    if (arity === 'none') return '';
+
+    if (arity === 'range') {
+      return `
+        ${this.createInput(condition, 'value', placeholder)}
+        <span class="filter-range-separator">〜</span>
+        ${this.createInput(condition, 'value2', placeholder)}
+      `;
+    }
+
+    if (arity === 'list') {
+      const hint = column?.values ? `例: ${column.values.slice(0, 2).join(', ')}` : 'カンマ区切りで複数';
+      return this.createInput(condition, 'value', hint);
+    }
+
+    // Enum columns pick from the known values
+    if (column?.type === COLUMN_TYPES.ENUM && column.values) {
+      return `
+        <select class="input-field filter-value" data-key="value">
+          <option value="">選択してください</option>
+          ${column.values.map(value => `
+            <option value="${escapeHtml(value)}" ${value === condition.value ? 'selected' : ''}>${escapeHtml(value)}</option>
+          `).join('')}
+        </select>
+      `;
+    }
+
+    return this.createInput(condition, 'value', placeholder);
+  }
+
+  createInput(condition, key, placeholder) {
+    return `<input type="text" class="input-field filter-value" data-key="${key}"
+      value="${escapeHtml(condition[key] || '')}" placeholder="${escapeHtml(placeholder)}">`;
+  }
+}
@@ -3,10 +3,13 @@
  * Handles displaying the list of memos and the initial UI for the memo feature.
  */
 
-import { getAllMemos, deleteMemo, markAsExported } from '../api/memoData.js';
+import { getAllMemos, deleteMemo } from '../api/memoData.js';
 import { formatDate } from '../utils/dataProcessor.js';
-import { exportMemoToSheets, exportMemosToSheets } from '../api/sheetsWrite.js';
+import { formatMemoForExport, MEMO_HEADER } from '../api/sheetsWrite.js';
+import { validateDataSourceSettings } from '../api/dataSource.js';
+import { enqueueExport, flushOutbox, getOutboxItems, discardOutboxItem } from '../api/outbox.js';
 import { loadSettings } from '../api/storage.js';
+import { escapeHtml } from '../utils/html.js';
 
 export class MemoView {
   constructor(containerId, onNewMemoClick, onMemoClick) {
@@ -31,6 +34,8 @@ export class MemoView {
           </button>
         </div>
       </div>
+
+      <div id="outboxStatus" class="outbox-status" style="display: none;"></div>
       
       <div id="memoList" class="memo-grid">
         <div class="loading-spinner">読み込み中...</div>
@@ -55,6 +60,8 @@ export class MemoView {
     const listContainer = document.getElementById('memoList');
     try {
       const memos = await getAllMemos();
+      const outboxItems = await getOutboxItems();
+      this.renderOutboxStatus(outboxItems);
 
       if (memos.length === 0) {
         listContainer.innerHTML = `
@@ -67,6 +74,12 @@ export class MemoView {
         return;
       }
 
+      // Map memo id -> queued export, so cards can show a pending badge
+      this.queuedExports = new Map();
+      outboxItems.forEach(item => {
+        item.memoIds.forEach(memoId => this.queuedExports.set(memoId, item));
+      });
+
       listContainer.innerHTML = memos.map(memo => this.createMemoCard(memo)).join('');
 
       // Add event listeners to cards
@@ -110,13 +123,14 @@ export class MemoView {
     // Create an object URL for the image blob
     const imageUrl = URL.createObjectURL(memo.imageBlob);
     const exportedBadge = memo.exportedToSheets ? '<span class="exported-badge" title="エクスポート済み">✓</span>' : '';
+    const queueBadge = this.createQueueBadge(this.queuedExports?.get(memo.id));
 
     // Revoke object URL later to avoid memory leaks? 
     // In a SPA, we might need a strategy for this, but for now simple usage.
 
     return `
       <div class="memo-card" data-id="${memo.id}">
-        <div class="memo-image-preview" style="background-image: url('${imageUrl}')">${exportedBadge}</div>
+        <div class="memo-image-preview" style="background-image: url('${imageUrl}')">${exportedBadge}${queueBadge}</div>
         <div class="memo-content">
           <p class="memo-text-preview">${this.truncateText(memo.text || '(テキストなし)', 50)}</p>
           <div class="memo-meta">
@@ -131,6 +145,109 @@ export class MemoView {
     `;
   }
 
+  /**
+   * Badge for a memo waiting in the outbox (⚠️ once a retry has failed, ❌ once it will not be retried)
+   */
+  createQueueBadge(item) {
+    if (!item) return '';
+
+    if (item.attempts === 0) {
+      return '<span class="queued-badge" title="送信待ち">⏳</span>';
+    }
+
+    if (item.failed) {
+      return `<span class="queued-badge failed" title="${escapeHtml(`送信できません: ${item.lastError || ''}`)}">❌</span>`;
+    }
+
+    return `<span class="queued-badge failed" title="${escapeHtml(`送信失敗 ${item.attempts}回: ${item.lastError || ''}`)}">⚠️</span>`;
+  }
+
+  /**
+   * Show how many exports are waiting to be sent, with a manual retry button
+   * and a discard button for the ones that will not be retried
+   */
+  renderOutboxStatus(items) {
+    const status = document.getElementById('outboxStatus');
+    if (!status) return;
+
+    if (items.length === 0) {
+      status.style.display = 'none';
+      status.innerHTML = '';
+      return;
+    }
+
+    const failed = items.filter(item => item.failed);
+    const retrying = items.filter(item => !item.failed && item.attempts > 0).length;
+    const waiting = items.length - failed.length;
+    status.style.display = 'flex';
+    status.innerHTML = `
+      <span>
+        ${waiting > 0 ? `⏳ 送信待ち: ${waiting}件${retrying > 0 ? `（うち${retrying}件は再送待ち）` : ''}` : ''}
+        ${failed.length > 0 ? `❌ 送信できません: ${failed.length}件（${escapeHtml(failed[0].lastError || '')}）` : ''}
+      </span>
+      <button id="retryOutboxBtn" class="btn btn-secondary">今すぐ再送</button>
+      ${failed.length > 0 ? '<button id="discardOutboxBtn" class="btn btn-secondary">破棄</button>' : ''}
+    `;
+
+    document.getElementById('discardOutboxBtn')?.addEventListener('click', () => this.discardFailedExports(failed));
+
+    document.getElementById('retryOutboxBtn').addEventListener('click', async () => {
+      if (!navigator.onLine) {
+        alert('オフラインのため送信できません。接続が戻ると自動で再送します。');
+        return;
+      }
+      await this.retryOutbox();
+    });
+  }
+
+  /**
+   * Retry every queued export right away, ignoring the backoff
+   */
+  async retryOutbox() {
+    const items = await getOutboxItems();
+    const result = await flushOutbox({ force: true });
+    const remaining = await getOutboxItems();
+
+    if (remaining.length === 0) {
+      alert(`✅ 送信待ちの${items.length}件を転記しました！`);
+    } else if (result === null) {
+      alert('❌ 再送できませんでした。設定と接続を確認してください。');
+    } else {
+      alert(`❌ ${remaining.length}件の送信に失敗しました: ${remaining[0].lastError || ''}`);
+    }
+    this.refreshList();
+  }
+
+  /**
+   * Drop the exports that will not be retried; their memos stay unexported so they can be exported again
+   */
+  async discardFailedExports(items) {
+    const count = items.reduce((sum, item) => sum + item.memoIds.length, 0);
+    if (!confirm(`送信できない${count}件のメモの転記を破棄しますか？（メモは未転記のまま残ります）`)) return;
+
+    for (const item of items) {
+      await discardOutboxItem(item.id);
+    }
+    this.refreshList();
+  }
+
+  /**
+   * Queue an export and try to send it right away.
+   * Returns the queued item if it was not sent (item.failed if it will not be retried), or null if it was sent.
+   */
+  async queueExport(memos) {
+    const queueId = await enqueueExport({
+      sheetName: 'メモ',
+      rows: memos.map(memo => formatMemoForExport(memo)),
+      header: MEMO_HEADER,
+      memoIds: memos.map(memo => memo.id),
+    });
+
+    await flushOutbox();
+    const remaining = await getOutboxItems();
+    return remaining.find(item => item.id === queueId) || null;
+  }
+
   truncateText(text, length) {
     if (text.length <= length) return text;
     return text.substring(0, length) + '...';
@@ -141,16 +258,10 @@ export class MemoView {
       const settings = loadSettings();
 
       // 設定チェック
-      if (settings.useGas) {
-        if (!settings.gasUrl) {
-          alert('GAS Web App URLの設定が必要です。設定画面で設定してください。');
-          return;
-        }
-      } else {
-        if (!settings.apiKey || !settings.spreadsheetId) {
-          alert('Google Sheetsの設定が必要です。設定画面で設定してください。');
-          return;
-        }
+      const settingsError = validateDataSourceSettings(settings);
+      if (settingsError) {
+        alert(`Google Sheetsの設定が必要です（${settingsError}）。設定画面で設定してください。`);
+        return;
       }
 
       const memos = await getAllMemos();
@@ -161,26 +272,26 @@ export class MemoView {
         return;
       }
 
+      if (this.queuedExports?.has(id)) {
+        alert('このメモは送信待ちです。接続が戻ると自動で転記されます。');
+        return;
+      }
+
       if (memo.exportedToSheets) {
         if (!confirm('このメモは既にエクスポート済みです。再度エクスポートしますか？')) {
           return;
         }
       }
 
-      if (settings.useGas) {
-        // GAS経由でエクスポート
-        const { appendMemoViaGAS } = await import('../api/gasApi.js');
-        const { formatMemoForExport } = await import('../api/sheetsWrite.js');
-        const row = formatMemoForExport(memo);
-        await appendMemoViaGAS(settings.gasUrl, row);
+      const queued = await this.queueExport([memo]);
+
+      if (!queued) {
+        alert('✅ Sheetsに転記しました！');
+      } else if (queued.failed) {
+        alert(`❌ 転記できませんでした: ${queued.lastError}\n設定やシートを確認してから再送するか、破棄してください。`);
       } else {
-        // APIキー経由でエクスポート
-        await exportMemoToSheets(settings.apiKey, settings.spreadsheetId, memo);
+        alert('⏳ 今は送信できないため、送信待ちに追加しました。接続が戻ると自動で再送します。');
       }
-
-      await markAsExported(id);
-
-      alert('✅ Sheetsに転記しました！');
       this.refreshList();
     } catch (error) {
       console.error('Export error:', error);
@@ -193,23 +304,18 @@ export class MemoView {
       const settings = loadSettings();
 
       // 設定チェック
-      if (settings.useGas) {
-        if (!settings.gasUrl) {
-          alert('GAS Web App URLの設定が必要です。設定画面で設定してください。');
-          return;
-        }
-      } else {
-        if (!settings.apiKey || !settings.spreadsheetId) {
-          alert('Google Sheetsの設定が必要です。設定画面で設定してください。');
-          return;
-        }
+      const settingsError = validateDataSourceSettings(settings);
+      if (settingsError) {
+        alert(`Google Sheetsの設定が必要です（${settingsError}）。設定画面で設定してください。`);
+        return;
       }
 
       const memos = await getAllMemos();
-      const unexportedMemos = memos.filter(m => !m.exportedToSheets);
+      const queuedIds = new Set((await getOutboxItems()).flatMap(item => item.memoIds));
+      const unexportedMemos = memos.filter(m => !m.exportedToSheets && !queuedIds.has(m.id));
 
       if (unexportedMemos.length === 0) {
-        alert('エクスポートするメモがありません（全て転記済み）');
+        alert('エクスポートするメモがありません（全て転記済みまたは送信待ち）');
         return;
       }
 
@@ -217,23 +323,15 @@ export class MemoView {
         return;
       }
 
-      if (settings.useGas) {
-        // GAS経由でエクスポート
-        const { appendMemosViaGAS } = await import('../api/gasApi.js');
-        const { formatMemoForExport } = await import('../api/sheetsWrite.js');
-        const rows = unexportedMemos.map(memo => formatMemoForExport(memo));
-        await appendMemosViaGAS(settings.gasUrl, rows);
-      } else {
-        // APIキー経由でエクスポート
-        await exportMemosToSheets(settings.apiKey, settings.spreadsheetId, unexportedMemos);
-      }
+      const queued = await this.queueExport(unexportedMemos);
 
-      // Mark all as exported
-      for (const memo of unexportedMemos) {
-        await markAsExported(memo.id);
+      if (!queued) {
+        alert(`✅ ${unexportedMemos.length}件のメモをSheetsに転記しました！`);
+      } else if (queued.failed) {
+        alert(`❌ 転記できませんでした: ${queued.lastError}\n設定やシートを確認してから再送するか、破棄してください。`);
+      } else {
+        alert(`⏳ 今は送信できないため、${unexportedMemos.length}件を送信待ちに追加しました。接続が戻ると自動で再送します。`);
       }
-
-      alert(`✅ ${unexportedMemos.length}件のメモをSheetsに転記しました！`);
       this.refreshList();
     } catch (error) {
       console.error('Bulk export error:', error);
@@ -0,0 +1,439 @@
+/**
+ * Reports View Component
+ * Cross-sheet reports reached from the dashboard header, one sub-tab per report.
+ */
+
+import { reconcileShifts, CONFLICT_TYPES, UNSTAFFED_REASONS } from '../utils/reconciliation.js';
+import { buildBillingReport } from '../utils/billing.js';
+import { getDuplicates } from '../utils/duplicates.js';
+import { getBillingAgeThreshold, setBillingAgeThreshold } from '../api/storage.js';
+import { getDuplicateKey, setDuplicateKey } from '../api/duplicateKeys.js';
+import { escapeHtml } from '../utils/html.js';
+
+const REPORTS = [
+  { id: 'reconciliation', label: '🔀 シフト照合' },
+  { id: 'billing', label: '💴 未請求' },
+  { id: 'duplicates', label: '🧬 重複' },
+];
+
+const ROWS_PER_SECTION = 50;
+
+export class ReportsView {
+  constructor(containerId, getSheetsData, onRowClick, onBack, onMessage, canDeleteRows, onDeleteRows) {
+    this.container = document.getElementById(containerId);
+    this.getSheetsData = getSheetsData; // Returns the currently loaded sheets
+    this.onRowClick = onRowClick;       // Callback with the row item when a row is tapped
+    this.onBack = onBack;               // Callback to return to the dashboard
+    this.onMessage = onMessage;         // Callback with (message, type) for notifications
+    this.canDeleteRows = canDeleteRows; // Returns whether rows of a sheet can be deleted at the source
+    this.onDeleteRows = onDeleteRows;   // Async callback with (sheetName, rowNumbers) to delete rows
+    this.activeReport = REPORTS[0].id;
+    this.rows = [];                     // Rows rendered in the current report, indexed by data-row
+    this.sheetNames = [];               // Sheets rendered in the duplicates report, indexed by data-sheet
+    this.expanded = new Set();          // Sections showing all rows
+    this.editingKey = null;             // Sheet whose duplicate key is being edited
+  }
+
+  /**
+   * Render the active report
+   */
+  render() {
+    this.rows = [];
+    this.sheetNames = [];
+
+    this.container.innerHTML = `
+      <div class="dashboard-header">
+        <h2>📑 レポート</h2>
+        <button id="reportsBackBtn" class="btn btn-secondary">← ホーム</button>
+      </div>
+      <div class="sheet-tabs">
+        <div class="tabs-container">
+          ${REPORTS.map(report => `
+            <button class="sheet-tab ${report.id === this.activeReport ? 'active' : ''}" data-report="${report.id}">${report.label}</button>
+          `).join('')}
+        </div>
+      </div>
+      <div id="reportContent">${this.createReport()}</div>
+    `;
+
+    this.container.querySelectorAll('[data-report]').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.activeReport = tab.dataset.report;
+        this.expanded.clear();
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.person-row[data-row]').forEach(el => {
+      el.addEventListener('click', () => this.onRowClick(this.rows[el.dataset.row]));
+    });
+
+    this.container.querySelectorAll('.report-more').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.expanded.add(btn.dataset.section);
+        this.render();
+      });
+    });
+
+    document.getElementById('reportsBackBtn').addEventListener('click', () => this.onBack());
+
+    document.getElementById('saveBillingThresholdBtn')?.addEventListener('click', () => {
+      try {
+        setBillingAgeThreshold(document.getElementById('billingThreshold').value);
+        this.render();
+      } catch (error) {
+        this.onMessage(`❌ ${error.message}`, 'error');
+      }
+    });
+
+    if (this.activeReport === 'duplicates') this.bindDuplicates();
+  }
+
+  createReport() {
+    switch (this.activeReport) {
+      case 'reconciliation':
+        return this.createReconciliation();
+      case 'billing':
+        return this.createBilling();
+      case 'duplicates':
+        return this.createDuplicates();
+      default:
+        return '';
+    }
+  }
+
+  createReconciliation() {
+    const report = reconcileShifts(this.getSheetsData());
+
+    if (!report.hasShifts) {
+      return this.createEmptyState('🔀', 'シフト表がありません', '「開始」「終了」列を持つシフトのシートを読み込んでください');
+    }
+
+    const conflictLabel = {
+      [CONFLICT_TYPES.DAY_OFF]: '休みの日の訪問',
+      [CONFLICT_TYPES.OUTSIDE_SHIFT]: '勤務時間外の訪問',
+    };
+    const unstaffedLabel = {
+      [UNSTAFFED_REASONS.NO_STAFF]: 'スタッフ未入力',
+      [UNSTAFFED_REASONS.NO_SHIFT]: 'シフトなし',
+    };
+
+    return `
+      <div class="data-stats">
+        ${this.createStat('照合した訪問', report.checkedVisits)}
+        ${this.createStat('矛盾', report.conflicts.length)}
+        ${this.createStat('担当者なし', report.unstaffed.length)}
+        ${this.createStat('訪問のないシフト', report.idleShifts.length)}
+      </div>
+
+      ${this.createSection('conflicts', '⚠️ 矛盾', report.conflicts, conflict => ({
+        icon: conflict.type === CONFLICT_TYPES.DAY_OFF ? '🌴' : '⏰',
+        item: conflict.visit,
+        summary: `${conflictLabel[conflict.type]}: ${this.describeVisit(conflict.visit)}`,
+        detail: conflict.type === CONFLICT_TYPES.OUTSIDE_SHIFT ? `シフト ${this.describeShift(conflict.shift)}` : '',
+      }))}
+
+      ${this.createSection('unstaffed', '🙋 担当者のいない訪問', report.unstaffed, entry => ({
+        icon: '❔',
+        item: entry.visit,
+        summary: `${unstaffedLabel[entry.reason]}: ${this.describeVisit(entry.visit)}`,
+      }))}
+
+      ${this.createSection('idleShifts', '💤 訪問のないシフト', report.idleShifts, shift => ({
+        icon: '🕘',
+        item: shift,
+        summary: `${shift.item['スタッフ']} ${this.describeShift(shift)}`,
+      }))}
+    `;
+  }
+
+  createBilling() {
+    const thresholdDays = getBillingAgeThreshold();
+    const report = buildBillingReport(this.getSheetsData(), { thresholdDays });
+
+    if (!report.hasBillingSheet) {
+      return this.createEmptyState('💴', '請求のシートがありません', '「実績」「請求」列を持つシートを読み込んでください');
+    }
+
+    const oldest = report.items.find(entry => entry.daysOutstanding !== null);
+
+    return `
+      <div class="data-stats">
+        ${this.createStat('未請求', report.items.length)}
+        ${this.createStat(`${thresholdDays}日超`, report.overdueCount)}
+        ${this.createStat('利用者', report.residents.length)}
+        ${this.createStat('最長経過', oldest ? `${oldest.daysOutstanding}日` : '-')}
+      </div>
+
+      <div class="billing-threshold">
+        <label for="billingThreshold">強調する経過日数</label>
+        <input type="number" id="billingThreshold" class="input-field" min="1" max="365" value="${thresholdDays}">
+        <button id="saveBillingThresholdBtn" class="btn btn-secondary">変更</button>
+      </div>
+
+      ${report.items.length === 0 ? this.createEmptyState('✅', '未請求はありません', '実績が「完了」で請求が「未」の行はありません') : `
+        <section class="person-section">
+          <h3>月末締めの集計</h3>
+          <table class="billing-months">
+            <thead><tr><th>月</th><th>未請求</th><th>${thresholdDays}日超</th></tr></thead>
+            <tbody>
+              ${report.months.map(month => `
+                <tr class="${month.overdue > 0 ? 'overdue' : ''}">
+                  <td>${escapeHtml(this.formatMonth(month.month))}</td>
+                  <td>${month.count}件</td>
+                  <td>${month.overdue > 0 ? `${month.overdue}件` : '-'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </section>
+
+        ${report.residents.map(resident => `
+          <details class="person-section billing-resident" ${resident.overdue > 0 ? 'open' : ''}>
+            <summary>
+              <strong>${escapeHtml(resident.resident)}</strong>
+              <span class="timeline-count"> ${resident.count}件</span>
+              ${resident.overdue > 0 ? `<span class="hour-limit-badge">⚠️ ${thresholdDays}日超 ${resident.overdue}件</span>` : ''}
+            </summary>
+            ${resident.services.map(service => `
+              <h4 class="billing-service">${escapeHtml(service.service)}<span class="timeline-count"> ${service.count}件</span></h4>
+              ${service.items.map(entry => this.createBillingRow(entry)).join('')}
+            `).join('')}
+          </details>
+        `).join('')}
+      `}
+    `;
+  }
+
+  createBillingRow(entry) {
+    const index = this.rows.push(entry.item) - 1;
+    const note = entry.item['備考'] && entry.item['備考'] !== '-' ? entry.item['備考'] : '';
+
+    return `
+      <div class="person-row ${entry.overdue ? 'overdue' : ''}" data-row="${index}">
+        <span class="person-row-date">${escapeHtml(entry.date)}</span>
+        <span class="person-row-summary">${entry.daysOutstanding === null ? '経過日数不明' : `${entry.daysOutstanding}日経過`}${note ? ` / ${escapeHtml(note)}` : ''}</span>
+        <span class="timeline-source">${escapeHtml(entry.source)} ${entry.rowNumber}行目</span>
+      </div>
+    `;
+  }
+
+  createDuplicates() {
+    const sheets = Object.entries(this.getSheetsData() || {}).filter(([, rows]) => rows && rows.length > 0);
+
+    if (sheets.length === 0) {
+      return this.createEmptyState('🧬', 'シートがありません', 'データを読み込んでください');
+    }
+
+    const reports = sheets.map(([sheetName, rows]) => ({ sheetName, rows, ...getDuplicates(rows, getDuplicateKey(sheetName)) }));
+    const groupCount = reports.reduce((sum, report) => sum + report.groups.length, 0);
+    const extraCount = reports.reduce((sum, report) => sum + report.groups.reduce((n, group) => n + group.rows.length - 1, 0), 0);
+
+    return `
+      <div class="data-stats">
+        ${this.createStat('重複グループ', groupCount)}
+        ${this.createStat('余分な行', extraCount)}
+        ${this.createStat('重複のあるシート', reports.filter(report => report.groups.length > 0).length)}
+      </div>
+
+      ${reports.map(report => this.createDuplicateSheet(report)).join('')}
+    `;
+  }
+
+  /**
+   * One sheet of the duplicates report: its key columns and the duplicate groups.
+   * The first row of each group is kept; the others are pre-selected for deletion.
+   */
+  createDuplicateSheet({ sheetName, rows, columns, groups }) {
+    const sheetIndex = this.sheetNames.push(sheetName) - 1;
+    const sectionId = `duplicates-${sheetIndex}`;
+    const limit = this.expanded.has(sectionId) ? groups.length : ROWS_PER_SECTION;
+    const canDelete = groups.length > 0 && this.canDeleteRows(sheetName);
+    const fields = Object.keys(rows[0]);
+
+    return `
+      <details class="person-section duplicate-sheet" ${groups.length > 0 || this.editingKey === sheetName ? 'open' : ''}>
+        <summary>
+          <strong>${escapeHtml(sheetName)}</strong>
+          <span class="timeline-count"> ${groups.length}グループ</span>
+        </summary>
+
+        <div class="duplicate-key">
+          <span class="duplicate-key-label">判定キー: ${columns.length > 0 ? escapeHtml(columns.join(' + ')) : '（該当する列がありません）'}</span>
+          <button class="btn btn-secondary duplicate-key-edit" data-sheet="${sheetIndex}">変更</button>
+        </div>
+        ${this.editingKey === sheetName ? `
+          <div class="duplicate-key-form" data-sheet="${sheetIndex}">
+            <div class="visible-columns">
+              ${fields.map(field => `
+                <label class="visible-column-option">
+                  <input type="checkbox" value="${escapeHtml(field)}" ${columns.includes(field) ? 'checked' : ''}>
+                  ${escapeHtml(field)}
+                </label>
+              `).join('')}
+            </div>
+            <div class="button-group">
+              <button class="btn btn-secondary duplicate-key-reset" data-sheet="${sheetIndex}">既定に戻す</button>
+              <button class="btn btn-primary duplicate-key-save" data-sheet="${sheetIndex}">保存</button>
+            </div>
+          </div>
+        ` : ''}
+
+        ${groups.length === 0 ? '<p class="person-empty">重複はありません</p>' : ''}
+        ${groups.slice(0, limit).map(group => `
+          <div class="duplicate-group">
+            ${group.rows.map((row, position) => {
+              const index = this.rows.push(row.item) - 1;
+              return `
+                <div class="duplicate-row">
+                  ${canDelete ? `<input type="checkbox" class="duplicate-select" data-sheet="${sheetIndex}" value="${row.rowNumber}" ${position > 0 ? 'checked' : ''} title="削除する">` : ''}
+                  <div class="person-row" data-row="${index}">
+                    <span class="person-row-date">${position === 0 ? '残す' : '重複'}</span>
+                    <span class="person-row-summary">${escapeHtml(this.describeRow(row.item, fields, columns))}</span>
+                    <span class="timeline-source">${row.rowNumber}行目</span>
+                  </div>
+                </div>
+              `;
+            }).join('')}
+          </div>
+        `).join('')}
+        ${groups.length > limit
+          ? `<button class="btn btn-secondary full-width report-more" data-section="${sectionId}">残り${groups.length - limit}グループを表示</button>`
+          : ''}
+
+        ${canDelete ? `
+          <button class="btn btn-secondary full-width duplicate-delete" data-sheet="${sheetIndex}">🗑️ 選択した行をシートから削除</button>
+        ` : groups.length > 0 ? `
+          <p class="person-empty">シートから削除するには、GAS（最新のスクリプト）で接続した事業所のシートである必要があります</p>
+        ` : ''}
+      </details>
+    `;
+  }
+
+  /**
+   * Key values first, then the other non-empty columns
+   */
+  describeRow(item, fields, columns) {
+    return [...columns, ...fields.filter(field => !columns.includes(field))]
+      .map(field => item[field])
+      .filter(value => value && value !== '-')
+      .join(' / ');
+  }
+
+  bindDuplicates() {
+    this.container.querySelectorAll('.duplicate-key-edit').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const sheetName = this.sheetNames[btn.dataset.sheet];
+        this.editingKey = this.editingKey === sheetName ? null : sheetName;
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.duplicate-key-save, .duplicate-key-reset').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const sheetName = this.sheetNames[btn.dataset.sheet];
+        const columns = btn.classList.contains('duplicate-key-reset') ? null
+          : [...this.container.querySelectorAll(`.duplicate-key-form[data-sheet="${btn.dataset.sheet}"] input:checked`)]
+            .map(input => input.value);
+
+        try {
+          setDuplicateKey(sheetName, columns);
+          this.editingKey = null;
+          this.render();
+        } catch (error) {
+          this.onMessage(`❌ ${error.message}`, 'error');
+        }
+      });
+    });
+
+    this.container.querySelectorAll('.duplicate-delete').forEach(btn => {
+      btn.addEventListener('click', () => this.handleDeleteDuplicates(btn));
+    });
+  }
+
+  async handleDeleteDuplicates(btn) {
+    const sheetName = this.sheetNames[btn.dataset.sheet];
+    const rowNumbers = [...this.container.querySelectorAll(`.duplicate-select[data-sheet="${btn.dataset.sheet}"]:checked`)]
+      .map(input => Number(input.value));
+
+    if (rowNumbers.length === 0) {
+      this.onMessage('⚠️ 削除する行を選択してください', 'warning');
+      return;
+    }
+    if (!confirm(`「${sheetName}」から${rowNumbers.length}行を削除しますか？\nスプレッドシートの行が削除されます。`)) return;
+
+    btn.disabled = true;
+    try {
+      await this.onDeleteRows(sheetName, rowNumbers);
+      this.onMessage(`✅ ${rowNumbers.length}行を削除しました`, 'success');
+    } catch (error) {
+      console.error('行の削除エラー:', error);
+      this.onMessage(`❌ 削除に失敗しました: ${error.message}`, 'error');
+    } finally {
+      this.render();
+    }
+  }
+
+  formatMonth(month) {
+    const match = month.match(/^(\d{4})-(\d{2})$/);
+    return match ? `${match[1]}年${Number(match[2])}月` : month;
+  }
+
+  /**
+   * A list section; each entry maps to { icon, item, summary, detail }
+   */
+  createSection(id, title, entries, describe) {
+    const limit = this.expanded.has(id) ? entries.length : ROWS_PER_SECTION;
+
+    return `
+      <section class="person-section">
+        <h3>${title}<span class="timeline-count"> ${entries.length}件</span></h3>
+        ${entries.length === 0 ? '<p class="person-empty">ありません</p>' : ''}
+        ${entries.slice(0, limit).map(entry => {
+          const { icon, item, summary, detail } = describe(entry);
+          const index = this.rows.push(item.item) - 1;
+          return `
+            <div class="person-row" data-row="${index}">
+              <span class="person-row-date">${icon} ${escapeHtml(item.date)}</span>
+              <span class="person-row-summary">${escapeHtml(summary)}${detail ? `<br><small>${escapeHtml(detail)}</small>` : ''}</span>
+              <span class="timeline-source">${escapeHtml(item.source)} ${item.rowNumber}行目</span>
+            </div>
+          `;
+        }).join('')}
+        ${entries.length > limit
+          ? `<button class="btn btn-secondary full-width report-more" data-section="${id}">残り${entries.length - limit}件を表示</button>`
+          : ''}
+      </section>
+    `;
+  }
+
+  describeVisit(row) {
+    return ['スタッフ', '時間', '利用者', 'サービス']
+      .map(key => row.item[key])
+      .filter(value => value && value !== '-')
+      .join(' / ');
+  }
+
+  describeShift(row) {
+    return `${row.item['シフト'] || ''} ${row.item['開始']}〜${row.item['終了']}`.trim();
+  }
+
+  createStat(label, value) {
+    return `
+      <div class="stat-card">
+        <span class="stat-label">${label}</span>
+        <span class="stat-value">${value}</span>
+      </div>
+    `;
+  }
+
+  createEmptyState(icon, title, message) {
+    return `
+      <div class="empty-state">
+        <div class="empty-icon">${icon}</div>
+        <h3>${title}</h3>
+        <p>${message}</p>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Resident View Component
+ * Lists residents (利用者) found across all sheets and shows a profile per resident.
+ */
+
+import { getAllMemos } from '../api/memoData.js';
+import { collectPeople, buildResidentProfile, normalizeName, RESIDENT_FIELD } from '../utils/people.js';
+import { formatDate } from '../utils/dataProcessor.js';
+import { escapeHtml } from '../utils/html.js';
+
+const PAST_LIMIT = 30;
+
+export class ResidentView {
+  constructor(containerId, getSheetsData, onRowClick) {
+    this.container = document.getElementById(containerId);
+    this.getSheetsData = getSheetsData; // Returns the currently loaded sheets
+    this.onRowClick = onRowClick;       // Callback with the row item when a row is tapped
+    this.rows = [];                     // Rows rendered in the current profile, indexed by data-row
+  }
+
+  /**
+   * Render the resident list
+   */
+  render() {
+    const residents = collectPeople(this.getSheetsData(), RESIDENT_FIELD);
+
+    this.container.innerHTML = `
+      <div class="dashboard-header">
+        <h2>👤 利用者</h2>
+      </div>
+      <div class="search-filter-bar">
+        <div class="search-box">
+          <input type="text" id="residentSearchInput" placeholder="🔍 利用者名で絞り込み..." class="search-input">
+        </div>
+      </div>
+      <div id="residentList" class="person-list"></div>
+    `;
+
+    const listContainer = document.getElementById('residentList');
+    const renderList = (query) => {
+      const target = normalizeName(query);
+      const visible = residents.filter(resident => normalizeName(resident.name).includes(target));
+
+      if (visible.length === 0) {
+        listContainer.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-icon">👤</div>
+            <h3>利用者が見つかりません</h3>
+            <p>「${RESIDENT_FIELD}」列を持つシートを読み込んでください</p>
+          </div>
+        `;
+        return;
+      }
+
+      listContainer.innerHTML = visible.map(resident => `
+        <button class="person-item" data-name="${escapeHtml(resident.name)}">
+          <span class="person-name">${escapeHtml(resident.name)}</span>
+          <span class="person-meta">${resident.count}件 ・ ${escapeHtml(resident.sheets.join(', '))}</span>
+        </button>
+      `).join('');
+
+      listContainer.querySelectorAll('.person-item').forEach(item => {
+        item.addEventListener('click', () => this.renderProfile(item.dataset.name));
+      });
+    };
+
+    document.getElementById('residentSearchInput').addEventListener('input', (e) => {
+      renderList(e.target.value);
+    });
+
+    renderList('');
+  }
+
+  /**
+   * Render the profile of a single resident
+   * @param {string} name - Resident name
+   */
+  async renderProfile(name) {
+    let memos = [];
+    try {
+      memos = await getAllMemos();
+    } catch (error) {
+      console.error('Failed to load memos for resident profile:', error);
+    }
+
+    const profile = buildResidentProfile(this.getSheetsData(), name, memos);
+    const past = profile.past.slice(0, PAST_LIMIT);
+    this.rows = [];
+
+    this.container.innerHTML = `
+      <div class="dashboard-header">
+        <h2>👤 ${escapeHtml(profile.name)}</h2>
+        <button id="residentBackBtn" class="btn btn-secondary">← 一覧</button>
+      </div>
+
+      <div class="data-stats">
+        <div class="stat-card">
+          <span class="stat-label">今後の予定</span>
+          <span class="stat-value">${profile.upcoming.length}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-label">過去の記録</span>
+          <span class="stat-value">${profile.past.length}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-label">請求済</span>
+          <span class="stat-value">${profile.billing.billed}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-label">未請求</span>
+          <span class="stat-value">${profile.billing.unbilled.length}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-label">サービス時間</span>
+          <span class="stat-value">${Math.round(profile.serviceHours * 10) / 10}h</span>
+        </div>
+      </div>
+
+      ${this.createSection('📅 今後のサービス', profile.upcoming, '予定されているサービスはありません')}
+      ${this.createSection('💴 未請求', profile.billing.unbilled, '未請求のサービスはありません')}
+      ${this.createSection(`🕒 過去のサービス${profile.past.length > PAST_LIMIT ? `（最新${PAST_LIMIT}件）` : ''}`, past, '過去の記録はありません')}
+      ${this.createSection('📝 関連メモ', profile.memos, '関連するメモはありません')}
+    `;
+
+    document.getElementById('residentBackBtn').addEventListener('click', () => this.render());
+
+    this.container.querySelectorAll('.person-row').forEach(el => {
+      el.addEventListener('click', () => this.onRowClick(this.rows[el.dataset.row]));
+    });
+  }
+
+  createSection(title, rows, emptyMessage) {
+    const body = rows.length === 0
+      ? `<p class="person-empty">${emptyMessage}</p>`
+      : rows.map(row => this.createRow(row)).join('');
+
+    return `
+      <section class="person-section">
+        <h3>${title}</h3>
+        ${body}
+      </section>
+    `;
+  }
+
+  createRow(row) {
+    const index = this.rows.push(row.item) - 1;
+    const summary = Object.entries(row.item)
+      .filter(([key, value]) => key !== RESIDENT_FIELD && value !== '' && value !== undefined && value !== '-')
+      .slice(1, 5)
+      .map(([, value]) => escapeHtml(value))
+      .join(' / ');
+
+    return `
+      <div class="person-row" data-row="${index}">
+        <span class="person-row-date">${row.date ? formatDate(row.date) : '-'}</span>
+        <span class="person-row-summary">${summary}</span>
+        <span class="timeline-source">${escapeHtml(row.source)}</span>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Saved Views Bar Component
+ * Lists saved views as chips above the data cards, and saves, deletes,
+ * exports and imports them.
+ */
+
+import { getSavedViews, saveView, deleteView, exportViews, importViews } from '../api/savedViews.js';
+import { LAYOUT_MODES } from '../api/sheetLayouts.js';
+import { countConditions } from '../utils/filterExpression.js';
+import { escapeHtml } from '../utils/html.js';
+
+export class SavedViewsBar {
+  constructor(containerId, getCurrentView, onApply, onMessage) {
+    this.container = document.getElementById(containerId);
+    this.getCurrentView = getCurrentView; // Returns { sheet, query, filter, sort, columns, layout }
+    this.onApply = onApply;               // Callback with the view to apply
+    this.onMessage = onMessage;           // Callback with (message, type) for notifications
+    this.activeViewId = null;
+  }
+
+  /**
+   * Render the chips
+   */
+  render() {
+    const views = getSavedViews();
+
+    this.container.innerHTML = `
+      ${views.map(view => `
+        <div class="view-chip ${view.id === this.activeViewId ? 'active' : ''}" data-id="${view.id}">
+          <button class="view-chip-apply" data-id="${view.id}">${escapeHtml(view.name)}</button>
+          <button class="view-chip-delete" data-id="${view.id}" title="削除">✕</button>
+        </div>
+      `).join('')}
+      <button id="saveViewBtn" class="view-chip view-chip-action">＋ ビューを保存</button>
+      <button id="exportViewsBtn" class="view-chip view-chip-action" ${views.length === 0 ? 'disabled' : ''}>📤 書き出し</button>
+      <button id="importViewsBtn" class="view-chip view-chip-action">📥 読み込み</button>
+      <input type="file" id="importViewsInput" accept=".json,application/json" hidden>
+    `;
+
+    // Set the description as a property: it holds values from imported files
+    this.container.querySelectorAll('.view-chip[data-id]').forEach(chip => {
+      const view = views.find(v => v.id === chip.dataset.id);
+      if (view) chip.title = this.describe(view);
+    });
+
+    this.container.querySelectorAll('.view-chip-apply').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const view = getSavedViews().find(v => v.id === btn.dataset.id);
+        if (!view) return;
+
+        this.activeViewId = view.id;
+        this.onApply(view);
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.view-chip-delete').forEach(btn => {
+      btn.addEventListener('click', () => this.handleDelete(btn.dataset.id));
+    });
+
+    document.getElementById('saveViewBtn').addEventListener('click', () => this.handleSave());
+    document.getElementById('exportViewsBtn').addEventListener('click', () => this.handleExport());
+    document.getElementById('importViewsBtn').addEventListener('click', () => {
+      document.getElementById('importViewsInput').click();
+    });
+    document.getElementById('importViewsInput').addEventListener('change', (e) => this.handleImport(e.target.files[0]));
+  }
+
+  /**
+   * Clear the highlighted chip once the user changes the search, filter or sort by hand
+   */
+  clearActive() {
+    if (!this.activeViewId) return;
+    this.activeViewId = null;
+    this.render();
+  }
+
+  /**
+   * Summary shown as the chip tooltip
+   */
+  describe(view) {
+    const parts = [];
+    if (view.sheet) parts.push(`シート: ${view.sheet}`);
+    if (view.query) parts.push(`検索: ${view.query}`);
+    const conditionCount = countConditions(view.filter);
+    if (conditionCount > 0) parts.push(`条件: ${conditionCount}件`);
+    if (view.sort?.field) parts.push(`ソート: ${view.sort.field} (${view.sort.direction === 'desc' ? '降順' : '昇順'})`);
+    if (view.layout) parts.push(`表示: ${view.layout === LAYOUT_MODES.TABLE ? '表' : 'カード'}`);
+    return parts.join(' / ');
+  }
+
+  handleSave() {
+    const current = this.getCurrentView();
+    if (!current.sheet) {
+      this.onMessage('保存するシートがありません', 'error');
+      return;
+    }
+
+    const name = prompt('ビューの名前を入力してください（例: 今週の未請求）');
+    if (name === null) return;
+
+    if (getSavedViews().some(view => view.name === name.trim())
+      && !confirm(`「${name.trim()}」は既にあります。上書きしますか？`)) {
+      return;
+    }
+
+    try {
+      const saved = saveView({ ...current, name });
+      this.activeViewId = saved.id;
+      this.render();
+      this.onMessage(`✅ ビュー「${saved.name}」を保存しました`, 'success');
+    } catch (error) {
+      this.onMessage(`❌ ${error.message}`, 'error');
+    }
+  }
+
+  handleDelete(id) {
+    const view = getSavedViews().find(v => v.id === id);
+    if (!view || !confirm(`ビュー「${view.name}」を削除しますか？`)) return;
+
+    deleteView(id);
+    if (this.activeViewId === id) this.activeViewId = null;
+    this.render();
+  }
+
+  handleExport() {
+    const blob = new Blob([exportViews()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dashboard-views-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async handleImport(file) {
+    if (!file) return;
+
+    try {
+      const count = importViews(await file.text());
+      this.render();
+      this.onMessage(`✅ ${count}件のビューを読み込みました`, 'success');
+    } catch (error) {
+      this.onMessage(`❌ ${error.message}`, 'error');
+    } finally {
+      document.getElementById('importViewsInput').value = '';
+    }
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Staff View Component
+ * Lists staff found in the shift and visit sheets and shows each person's shifts and visits by day.
+ * Weeks over the configured hour limit are flagged in the list and the profile.
+ */
+
+import { collectPeople, buildStaffProfile, normalizeName, STAFF_FIELD } from '../utils/people.js';
+import { getWeeklyHourLimit } from '../api/storage.js';
+import { escapeHtml } from '../utils/html.js';
+
+const DAYS_PER_PAGE = 14;
+
+export class StaffView {
+  constructor(containerId, getSheetsData, onRowClick) {
+    this.container = document.getElementById(containerId);
+    this.getSheetsData = getSheetsData; // Returns the currently loaded sheets
+    this.onRowClick = onRowClick;       // Callback with the row item when a row is tapped
+    this.rows = [];                     // Rows rendered in the current profile, indexed by data-row
+    this.profile = null;
+    this.visibleDays = DAYS_PER_PAGE;
+  }
+
+  /**
+   * Render the staff list
+   */
+  render() {
+    const sheetsData = this.getSheetsData();
+    const weeklyLimit = getWeeklyHourLimit();
+    const staff = collectPeople(sheetsData, STAFF_FIELD).map(person => ({
+      ...person,
+      overWeeks: buildStaffProfile(sheetsData, person.name, weeklyLimit).weeks.filter(week => week.over).length,
+    }));
+
+    this.container.innerHTML = `
+      <div class="dashboard-header">
+        <h2>🧑‍⚕️ スタッフ</h2>
+      </div>
+      <div class="search-filter-bar">
+        <div class="search-box">
+          <input type="text" id="staffSearchInput" placeholder="🔍 スタッフ名で絞り込み..." class="search-input">
+        </div>
+      </div>
+      <div id="staffList" class="person-list"></div>
+    `;
+
+    const listContainer = document.getElementById('staffList');
+    const renderList = (query) => {
+      const target = normalizeName(query);
+      const visible = staff.filter(person => normalizeName(person.name).includes(target));
+
+      if (visible.length === 0) {
+        listContainer.innerHTML = `
+          <div class="empty-state">
+            <div class="empty-icon">🧑‍⚕️</div>
+            <h3>スタッフが見つかりません</h3>
+            <p>「${STAFF_FIELD}」列を持つシートを読み込んでください</p>
+          </div>
+        `;
+        return;
+      }
+
+      listContainer.innerHTML = visible.map(person => `
+        <button class="person-item" data-name="${escapeHtml(person.name)}">
+          <span class="person-name">${escapeHtml(person.name)}${person.overWeeks > 0
+            ? ` <span class="hour-limit-badge" title="週${weeklyLimit}時間を超えた週があります">⚠️ 上限超過 ${person.overWeeks}週</span>`
+            : ''}</span>
+          <span class="person-meta">${person.count}件 ・ ${escapeHtml(person.sheets.join(', '))}</span>
+        </button>
+      `).join('');
+
+      listContainer.querySelectorAll('.person-item').forEach(item => {
+        item.addEventListener('click', () => this.renderProfile(item.dataset.name));
+      });
+    };
+
+    document.getElementById('staffSearchInput').addEventListener('input', (e) => {
+      renderList(e.target.value);
+    });
+
+    renderList('');
+  }
+
+  /**
+   * Render the shifts and visits of a single staff member
+   * @param {string} name - Staff name
+   */
+  renderProfile(name) {
+    this.weeklyLimit = getWeeklyHourLimit();
+    this.profile = buildStaffProfile(this.getSheetsData(), name, this.weeklyLimit);
+    this.visibleDays = DAYS_PER_PAGE;
+    this.renderProfileContent();
+  }
+
+  renderProfileContent() {
+    const profile = this.profile;
+    const visibleDays = profile.days.slice(0, this.visibleDays);
+    this.rows = [];
+
+    this.container.innerHTML = `
+      <div class="dashboard-header">
+        <h2>🧑‍⚕️ ${escapeHtml(profile.name)}</h2>
+        <button id="staffBackBtn" class="btn btn-secondary">← 一覧</button>
+      </div>
+
+      <div class="data-stats">
+        <div class="stat-card">
+          <span class="stat-label">勤務時間</span>
+          <span class="stat-value">${this.formatHours(profile.totalHours)}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-label">シフト</span>
+          <span class="stat-value">${profile.shiftCount}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-label">訪問</span>
+          <span class="stat-value">${profile.visitCount}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-label">休み</span>
+          <span class="stat-value">${profile.daysOff.length}</span>
+        </div>
+      </div>
+
+      ${this.createWeeks(profile.weeks)}
+
+      ${visibleDays.length === 0 ? '<p class="person-empty">記録がありません</p>' : ''}
+      ${visibleDays.map(day => this.createDay(day)).join('')}
+      ${profile.days.length > visibleDays.length
+        ? '<button id="staffMoreBtn" class="btn btn-secondary full-width">さらに表示</button>'
+        : ''}
+    `;
+
+    document.getElementById('staffBackBtn').addEventListener('click', () => this.render());
+    document.getElementById('staffMoreBtn')?.addEventListener('click', () => {
+      this.visibleDays += DAYS_PER_PAGE;
+      this.renderProfileContent();
+    });
+
+    this.container.querySelectorAll('.person-row').forEach(el => {
+      el.addEventListener('click', () => this.onRowClick(this.rows[el.dataset.row]));
+    });
+  }
+
+  createDay(day) {
+    const shifts = day.shifts.map(shift => {
+      const index = this.rows.push(shift.item) - 1;
+      const label = shift.dayOff
+        ? '休み'
+        : `${shift.item['シフト'] || 'シフト'} ${shift.item['開始']}〜${shift.item['終了']}（${this.formatHours(shift.hours)}）`;
+
+      return `
+        <div class="person-row ${shift.dayOff ? 'day-off' : ''}" data-row="${index}">
+          <span class="person-row-date">${shift.dayOff ? '🌴' : '🕘'}</span>
+          <span class="person-row-summary">${escapeHtml(label)}${shift.item['備考'] && shift.item['備考'] !== '-' ? ` / ${escapeHtml(shift.item['備考'])}` : ''}</span>
+          <span class="timeline-source">${escapeHtml(shift.source)}</span>
+        </div>
+      `;
+    }).join('');
+
+    const visits = day.visits.map(visit => {
+      const index = this.rows.push(visit.item) - 1;
+      const summary = ['時間', '利用者', 'サービス']
+        .filter(key => visit.item[key])
+        .map(key => escapeHtml(visit.item[key]))
+        .join(' / ');
+
+      return `
+        <div class="person-row" data-row="${index}">
+          <span class="person-row-date">🏠</span>
+          <span class="person-row-summary">${summary || '訪問'}</span>
+          <span class="timeline-source">${escapeHtml(visit.source)}</span>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <section class="person-section">
+        <h3>${escapeHtml(day.date)}${day.hours > 0 ? `<span class="timeline-count"> ${this.formatHours(day.hours)}</span>` : ''}</h3>
+        ${shifts}
+        ${visits}
+      </section>
+    `;
+  }
+
+  /**
+   * Hours per week against the weekly limit (most recent weeks first)
+   */
+  createWeeks(weeks) {
+    if (weeks.length === 0) return '';
+
+    return `
+      <section class="person-section">
+        <h3>週ごとの勤務時間<span class="timeline-count"> 上限 ${this.weeklyLimit}h</span></h3>
+        ${weeks.slice(0, 8).map(week => `
+          <div class="person-row week-hours ${week.over ? 'over-limit' : ''}">
+            <span class="person-row-date">${week.over ? '⚠️' : '📅'}</span>
+            <span class="person-row-summary">${escapeHtml(week.weekStart)} の週</span>
+            <span class="week-hours-value">${this.formatHours(week.hours)}</span>
+          </div>
+        `).join('')}
+      </section>
+    `;
+  }
+
+  formatHours(hours) {
+    return `${Math.round(hours * 10) / 10}h`;
+  }
+}
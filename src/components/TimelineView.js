@@ -0,0 +1,130 @@
+/**
+ * Timeline View Component
+ * Displays every sheet row and local memo as one chronological feed grouped by day.
+ */
+
+import { getAllMemos } from '../api/memoData.js';
+import { buildTimelineEntries, groupEntriesByDay } from '../utils/timeline.js';
+import { escapeHtml } from '../utils/html.js';
+
+const DAYS_PER_PAGE = 14;
+
+// Columns preferred as the entry title, in order
+const TITLE_FIELDS = ['利用者', 'スタッフ', 'テキスト内容'];
+
+export class TimelineView {
+  constructor(containerId, getSheetsData, onEntryClick) {
+    this.container = document.getElementById(containerId);
+    this.getSheetsData = getSheetsData; // Returns the currently loaded sheets
+    this.onEntryClick = onEntryClick;   // Callback with (item, entry) when an entry is tapped
+    this.groups = [];
+    this.visibleDays = DAYS_PER_PAGE;
+  }
+
+  /**
+   * Render the timeline view
+   */
+  async render() {
+    this.container.innerHTML = `
+      <div class="dashboard-header">
+        <h2>📅 タイムライン</h2>
+      </div>
+      <div id="timelineList" class="timeline">
+        <div class="loading-spinner">読み込み中...</div>
+      </div>
+    `;
+
+    try {
+      let memos = [];
+      try {
+        memos = await getAllMemos();
+      } catch (error) {
+        console.error('Failed to load memos for timeline:', error);
+      }
+
+      const entries = buildTimelineEntries(this.getSheetsData(), memos);
+      this.groups = groupEntriesByDay(entries);
+      this.visibleDays = DAYS_PER_PAGE;
+      this.renderList();
+    } catch (error) {
+      console.error('Failed to build timeline:', error);
+      document.getElementById('timelineList').innerHTML = '<p class="error">タイムラインの作成に失敗しました。</p>';
+    }
+  }
+
+  /**
+   * Render the visible day groups
+   */
+  renderList() {
+    const listContainer = document.getElementById('timelineList');
+
+    if (this.groups.length === 0) {
+      listContainer.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">📅</div>
+          <h3>表示できる記録がありません</h3>
+          <p>日付の列を持つシートを読み込むと、ここに時系列で表示されます</p>
+        </div>
+      `;
+      return;
+    }
+
+    const visibleGroups = this.groups.slice(0, this.visibleDays);
+    const hasMore = this.groups.length > visibleGroups.length;
+
+    listContainer.innerHTML = visibleGroups.map((group, groupIndex) => `
+      <section class="timeline-day">
+        <h3 class="timeline-date">${this.formatDay(group.date)}<span class="timeline-count">${group.entries.length}件</span></h3>
+        ${group.entries.map((entry, entryIndex) => this.createEntry(entry, groupIndex, entryIndex)).join('')}
+      </section>
+    `).join('') + (hasMore
+      ? '<button id="timelineMoreBtn" class="btn btn-secondary full-width">さらに表示</button>'
+      : '');
+
+    listContainer.querySelectorAll('.timeline-entry').forEach(el => {
+      el.addEventListener('click', () => {
+        const entry = this.groups[el.dataset.group].entries[el.dataset.entry];
+        this.onEntryClick(entry.item, entry);
+      });
+    });
+
+    document.getElementById('timelineMoreBtn')?.addEventListener('click', () => {
+      this.visibleDays += DAYS_PER_PAGE;
+      this.renderList();
+    });
+  }
+
+  createEntry(entry, groupIndex, entryIndex) {
+    const keys = Object.keys(entry.item);
+    const titleKey = TITLE_FIELDS.find(field => keys.includes(field)) || keys[0];
+    const title = entry.item[titleKey] || '-';
+    const summary = keys
+      .filter(key => key !== titleKey && entry.item[key] !== '' && entry.item[key] !== undefined)
+      .slice(1, 4)
+      .map(key => escapeHtml(entry.item[key]))
+      .join(' / ');
+
+    return `
+      <div class="timeline-entry" data-group="${groupIndex}" data-entry="${entryIndex}">
+        <div class="timeline-time">${escapeHtml(entry.time || '終日')}</div>
+        <div class="timeline-body">
+          <div class="timeline-title">
+            <span>${escapeHtml(title)}</span>
+            <span class="timeline-source">${escapeHtml(entry.source)}</span>
+          </div>
+          <div class="timeline-summary">${summary}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  formatDay(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('ja-JP', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      weekday: 'short',
+    });
+  }
+}
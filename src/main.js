@@ -4,21 +4,76 @@
  */
 
 import './style.css';
-import { fetchSheetList, fetchAllSheets, fetchSheetData, convertToObjects, testConnection } from './api/sheets.js';
-import { saveSettings, loadSettings, cacheData, getCachedData, isConfigured } from './api/storage.js';
+import { createDataSource, validateDataSourceSettings } from './api/dataSource.js';
+import { syncSheets } from './api/sync.js';
+import {
+  loadSettings,
+  isConfigured,
+  getProfiles,
+  getProfile,
+  getDefaultProfile,
+  saveProfile,
+  deleteProfile,
+  getActiveProfileId,
+  setActiveProfileId,
+  getActiveProfiles,
+  getWeeklyHourLimit,
+  setWeeklyHourLimit,
+  ALL_PROFILES_ID,
+} from './api/storage.js';
+import { cacheDataset, getCachedDataset, deleteCachedDataset, getLocalSheets } from './api/datasetCache.js';
+import { convertToObjects } from './api/sheets.js';
 import { filterData, sortData, searchData, calculateStats, formatDate } from './utils/dataProcessor.js';
 import { MemoView } from './components/MemoView.js';
 import { MemoEditor } from './components/MemoEditor.js';
+import { TimelineView } from './components/TimelineView.js';
+import { ResidentView } from './components/ResidentView.js';
+import { StaffView } from './components/StaffView.js';
+import { CsvImportPanel } from './components/CsvImportPanel.js';
+import { FilterBuilder } from './components/FilterBuilder.js';
+import { SavedViewsBar } from './components/SavedViewsBar.js';
+import { AggregationCards } from './components/AggregationCards.js';
+import { ChartPanel } from './components/ChartPanel.js';
+import { ReportsView } from './components/ReportsView.js';
+import { DataQualityPanel } from './components/DataQualityPanel.js';
+import { DataList } from './components/DataList.js';
+import { DataTable } from './components/DataTable.js';
+import { startOutboxRetry, onOutboxChange } from './api/outbox.js';
+import { escapeHtml } from './utils/html.js';
+import { getSchema, validateValue, COLUMN_TYPES, COLUMN_TYPE_LABELS } from './utils/schema.js';
+import { getSearchIndex } from './utils/searchIndex.js';
+import { getDataQuality, countIssues } from './utils/dataQuality.js';
+import { getDuplicates } from './utils/duplicates.js';
+import { getDuplicateKey } from './api/duplicateKeys.js';
+import { getSheetLayout, setSheetLayout, getShownColumns, LAYOUT_MODES } from './api/sheetLayouts.js';
+import { createEmptyExpression, normalizeExpression, countConditions } from './utils/filterExpression.js';
 
 // グローバル状態
 let currentView = 'dashboard';
-let allSheetsData = {}; // すべてのシートのデータ
+let allSheetsData = {}; // すべてのシートのデータ（リモート + ローカル）
+let profileDatasets = {}; // 事業所（プロファイル）ごとのデータ { sheets, sheetList, syncState }
+let sheetSources = {}; // 表示中のシート名 → 取得元 { profileId, title }
+let editingProfileId = null; // 設定画面で編集中のプロファイル
 let currentSheet = null; // 現在表示中のシート
 let currentData = []; // 現在表示中のデータ
 let filteredData = []; // フィルター・検索後のデータ
-let autoRefreshTimer = null;
+let activeFilter = createEmptyExpression(); // 適用中のフィルター式
+let activeSort = { field: '', direction: 'asc' }; // 適用中のソート
+let autoRefreshTimers = [];
 let memoView = null;
 let memoEditor = null;
+let timelineView = null;
+let residentView = null;
+let staffView = null;
+let reportsView = null;
+let csvImportPanel = null;
+let filterBuilder = null;
+let savedViewsBar = null;
+let aggregationCards = null;
+let chartPanel = null;
+let dataQualityPanel = null;
+let dataList = null;
+let dataTable = null;
 
 /**
  * アプリケーション初期化
@@ -35,14 +90,62 @@ function init() {
   // メモ機能初期化
   initMemoFeatures();
 
+  // タイムライン初期化
+  timelineView = new TimelineView('timelineView', () => allSheetsData, showDetailModal);
+
+  // 利用者プロフィール初期化
+  residentView = new ResidentView('residentView', () => allSheetsData, showDetailModal);
+
+  // スタッフ画面初期化
+  staffView = new StaffView('staffView', () => allSheetsData, showDetailModal);
+
+  // レポート画面初期化
+  reportsView = new ReportsView(
+    'reportsView',
+    () => allSheetsData,
+    showDetailModal,
+    () => showView('dashboard'),
+    showNotification,
+    canDeleteRows,
+    deleteSheetRows
+  );
+
+  // フィルター条件の編集
+  filterBuilder = new FilterBuilder('filterBuilder');
+
+  // 保存したビュー
+  savedViewsBar = new SavedViewsBar('savedViews', getCurrentViewState, applySavedView, showNotification);
+
+  // 集計カード
+  aggregationCards = new AggregationCards('aggregationCards', showNotification);
+
+  // グラフ
+  chartPanel = new ChartPanel('chartPanel');
+
+  // データの問題
+  dataQualityPanel = new DataQualityPanel('dataQuality', showDetailModal);
+
+  // データカード（スクロールに合わせて追加で表示）
+  dataList = new DataList('dataContainer', showDetailModal);
+
+  // 表表示（列の選択・並び順はシートごとに保存）
+  dataTable = new DataTable('dataContainer', sortByColumn, () => renderDataCards(filteredData), showNotification);
+
+  // CSVインポート初期化
+  csvImportPanel = new CsvImportPanel('csvImportSection', renderDataset, showNotification);
+
   // 設定を読み込み
   loadSettingsToUI();
+  renderProfileSwitcher();
 
   // 初期表示
   if (isConfigured()) {
     loadAllData();
   } else {
-    showView('settings');
+    // 未設定でもローカルシートがあればダッシュボードを表示
+    getLocalSheets()
+      .then(sheets => (sheets.length > 0 ? loadAllData() : showView('settings')))
+      .catch(() => showView('settings'));
   }
 }
 
@@ -90,6 +193,12 @@ function initMemoFeatures() {
       showView('memo');
     }
   );
+
+  // 送信待ちのメモ転記を自動で再送
+  onOutboxChange(() => {
+    if (currentView === 'memo') memoView.refreshList();
+  });
+  startOutboxRetry();
 }
 
 /**
@@ -117,7 +226,8 @@ function setupEventListeners() {
   });
 
   // ダッシュボードのボタン
-  document.getElementById('refreshBtn')?.addEventListener('click', loadAllData);
+  document.getElementById('refreshBtn')?.addEventListener('click', () => loadAllData());
+  document.getElementById('reportsBtn')?.addEventListener('click', () => showView('reports'));
   document.getElementById('goToSettingsBtn')?.addEventListener('click', () => {
     showView('settings');
   });
@@ -134,6 +244,7 @@ function setupEventListeners() {
   // フィルター・ソート
   document.getElementById('filterBtn')?.addEventListener('click', showFilterModal);
   document.getElementById('sortBtn')?.addEventListener('click', showFilterModal);
+  document.getElementById('layoutToggleBtn')?.addEventListener('click', toggleLayoutMode);
 
   // モーダル
   document.getElementById('closeModalBtn')?.addEventListener('click', closeDetailModal);
@@ -147,6 +258,31 @@ function setupEventListeners() {
   // 接続方法の切り替え
   document.getElementById('useApiKey')?.addEventListener('change', toggleConnectionMethod);
   document.getElementById('useGas')?.addEventListener('change', toggleConnectionMethod);
+
+  // 事業所（接続プロファイル）
+  document.getElementById('profileSwitcher')?.addEventListener('change', (e) => {
+    switchProfile(e.target.value);
+  });
+  document.getElementById('profileSelect')?.addEventListener('change', (e) => {
+    loadSettingsToUI(e.target.value);
+  });
+  document.getElementById('deleteProfileBtn')?.addEventListener('click', handleDeleteProfile);
+
+  // 勤務時間の上限
+  document.getElementById('weeklyHourLimit').value = getWeeklyHourLimit();
+  document.getElementById('saveWeeklyHourLimitBtn')?.addEventListener('click', handleSaveWeeklyHourLimit);
+}
+
+/**
+ * 週の上限時間を保存
+ */
+function handleSaveWeeklyHourLimit() {
+  try {
+    setWeeklyHourLimit(document.getElementById('weeklyHourLimit').value);
+    showNotification(`✅ 週の上限時間を${getWeeklyHourLimit()}時間にしました`, 'success');
+  } catch (error) {
+    showNotification(`❌ ${error.message}`, 'error');
+  }
 }
 
 /**
@@ -194,6 +330,7 @@ function showView(viewName) {
   // 指定されたビューを表示
   if (viewName === 'settings') {
     document.getElementById('settingsView')?.classList.remove('hidden');
+    if (csvImportPanel) csvImportPanel.render();
   } else if (viewName === 'dashboard') {
     document.getElementById('dashboardView')?.classList.remove('hidden');
   } else if (viewName === 'memo') {
@@ -202,6 +339,19 @@ function showView(viewName) {
     if (memoView) memoView.render();
   } else if (viewName === 'memoEditor') {
     document.getElementById('memoEditorView')?.classList.remove('hidden');
+  } else if (viewName === 'timeline') {
+    document.getElementById('timelineView')?.classList.remove('hidden');
+    // 最新のデータでタイムラインを再構築
+    if (timelineView) timelineView.render();
+  } else if (viewName === 'residents') {
+    document.getElementById('residentView')?.classList.remove('hidden');
+    if (residentView) residentView.render();
+  } else if (viewName === 'staff') {
+    document.getElementById('staffView')?.classList.remove('hidden');
+    if (staffView) staffView.render();
+  } else if (viewName === 'reports') {
+    document.getElementById('reportsView')?.classList.remove('hidden');
+    if (reportsView) reportsView.render();
   } else {
     // 未実装のビュー
     showNotification(`${viewName}機能は次のフェーズで実装予定です`, 'info');
@@ -210,9 +360,22 @@ function showView(viewName) {
 
 /**
  * 設定をUIに読み込み
+ * @param {string} profileId - 編集するプロファイル（省略時は選択中のプロファイル、空文字は新規）
  */
-function loadSettingsToUI() {
-  const settings = loadSettings();
+function loadSettingsToUI(profileId = loadSettings().id) {
+  const profiles = getProfiles();
+  editingProfileId = profileId || null;
+
+  const profileSelect = document.getElementById('profileSelect');
+  profileSelect.innerHTML = profiles.map(profile =>
+    `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`
+  ).join('') + '<option value="">＋ 新しい事業所を追加</option>';
+  profileSelect.value = editingProfileId || '';
+
+  const settings = (editingProfileId && getProfile(editingProfileId)) || getDefaultProfile();
+  document.getElementById('profileName').value = settings.name || '';
+  document.getElementById('profileIncludeInAll').checked = settings.includeInAll !== false;
+  document.getElementById('deleteProfileBtn').disabled = !editingProfileId;
   document.getElementById('apiKey').value = settings.apiKey;
   document.getElementById('spreadsheetId').value = settings.spreadsheetId;
   document.getElementById('autoRefreshInterval').value = settings.autoRefreshInterval || '300000';
@@ -230,34 +393,50 @@ function loadSettingsToUI() {
 }
 
 /**
- * 設定を保存
+ * 設定画面の入力値を取得
  */
-async function handleSaveSettings() {
-  const useGas = document.getElementById('useGas').checked;
-
-  const settings = {
+function readSettingsFromForm() {
+  return {
+    id: editingProfileId,
+    name: document.getElementById('profileName').value.trim(),
+    includeInAll: document.getElementById('profileIncludeInAll').checked,
     apiKey: document.getElementById('apiKey').value.trim(),
     spreadsheetId: document.getElementById('spreadsheetId').value.trim(),
     autoRefreshInterval: document.getElementById('autoRefreshInterval').value,
     gasUrl: document.getElementById('gasUrl').value.trim(),
-    useGas: useGas,
+    useGas: document.getElementById('useGas').checked,
   };
+}
+
+/**
+ * 設定を保存
+ */
+async function handleSaveSettings() {
+  const settings = readSettingsFromForm();
 
   // バリデーション
-  if (useGas) {
-    if (!settings.gasUrl) {
-      showNotification('GAS Web App URLを入力してください', 'error');
-      return;
-    }
-  } else {
-    if (!settings.apiKey || !settings.spreadsheetId) {
-      showNotification('APIキーとスプレッドシートIDを入力してください', 'error');
-      return;
-    }
+  const validationError = validateDataSourceSettings(settings);
+  if (validationError) {
+    showNotification(validationError, 'error');
+    return;
+  }
+
+  // 接続先が変わった場合は前の接続先のデータを破棄
+  const previous = settings.id ? getProfile(settings.id) : null;
+  if (previous && ['useGas', 'gasUrl', 'apiKey', 'spreadsheetId'].some(key => previous[key] !== settings[key])) {
+    delete profileDatasets[previous.id];
+    await deleteCachedDataset(previous.id).catch(error => console.error('キャッシュ削除エラー:', error));
   }
 
-  saveSettings(settings);
-  showNotification('設定を保存しました', 'success');
+  const saved = saveProfile(settings);
+  showNotification(`「${saved.name}」の設定を保存しました`, 'success');
+
+  // 保存した事業所を表示（全事業所表示中はそのまま）
+  if (getActiveProfileId() !== ALL_PROFILES_ID) {
+    setActiveProfileId(saved.id);
+  }
+  loadSettingsToUI(saved.id);
+  renderProfileSwitcher();
 
   // 自動更新タイマーを再設定
   setupAutoRefresh();
@@ -267,42 +446,44 @@ async function handleSaveSettings() {
   showView('dashboard');
 }
 
+/**
+ * 編集中の事業所（接続プロファイル）を削除
+ */
+async function handleDeleteProfile() {
+  const profile = editingProfileId ? getProfile(editingProfileId) : null;
+  if (!profile) return;
+
+  if (!confirm(`事業所「${profile.name}」の接続設定を削除しますか？`)) return;
+
+  deleteProfile(profile.id);
+  delete profileDatasets[profile.id];
+  await deleteCachedDataset(profile.id).catch(error => console.error('キャッシュ削除エラー:', error));
+
+  showNotification(`「${profile.name}」を削除しました`, 'success');
+  loadSettingsToUI();
+  renderProfileSwitcher();
+  setupAutoRefresh();
+  await loadAllData();
+}
+
 /**
  * 接続テスト
  */
 async function handleTestConnection() {
-  const useGas = document.getElementById('useGas').checked;
+  const settings = readSettingsFromForm();
+
+  const validationError = validateDataSourceSettings(settings);
+  if (validationError) {
+    showNotification(validationError, 'error');
+    return;
+  }
 
   showLoading(true);
 
   try {
-    if (useGas) {
-      // GAS経由で接続
-      const gasUrl = document.getElementById('gasUrl').value.trim();
-
-      if (!gasUrl) {
-        showNotification('GAS Web App URLを入力してください', 'error');
-        showLoading(false);
-        return;
-      }
-
-      const { fetchSheetListViaGAS } = await import('./api/gasApi.js');
-      const sheetList = await fetchSheetListViaGAS(gasUrl);
-      showNotification(`✅ GAS接続成功! ${sheetList.length}個のシートが見つかりました`, 'success');
-    } else {
-      // APIキー経由で接続
-      const apiKey = document.getElementById('apiKey').value.trim();
-      const spreadsheetId = document.getElementById('spreadsheetId').value.trim();
-
-      if (!apiKey || !spreadsheetId) {
-        showNotification('APIキーとスプレッドシートIDを入力してください', 'error');
-        showLoading(false);
-        return;
-      }
-
-      const sheetList = await fetchSheetList(apiKey, spreadsheetId);
-      showNotification(`✅ 接続成功! ${sheetList.length}個のシートが見つかりました`, 'success');
-    }
+    const dataSource = createDataSource(settings);
+    const sheetList = await dataSource.testConnection();
+    showNotification(`✅ ${dataSource.label}接続成功! ${sheetList.length}個のシートが見つかりました`, 'success');
   } catch (error) {
     console.error('接続テストエラー:', error);
     showNotification(`❌ 接続失敗: ${error.message}`, 'error');
@@ -311,88 +492,382 @@ async function handleTestConnection() {
   }
 }
 
+/**
+ * ヘッダーの事業所切り替えを表示
+ * 事業所が2つ以上ある場合は「全事業所」も選べる
+ */
+function renderProfileSwitcher() {
+  const switcher = document.getElementById('profileSwitcher');
+  const profiles = getProfiles();
+
+  if (profiles.length < 2) {
+    switcher.classList.add('hidden');
+    return;
+  }
+
+  switcher.innerHTML = profiles.map(profile =>
+    `<option value="${escapeHtml(profile.id)}">🏢 ${escapeHtml(profile.name)}</option>`
+  ).join('') + `<option value="${ALL_PROFILES_ID}">🏢 全事業所</option>`;
+  switcher.value = getActiveProfileId();
+  switcher.classList.remove('hidden');
+}
+
+/**
+ * 表示する事業所を切り替え
+ * @param {string} profileId - プロファイルID（または ALL_PROFILES_ID）
+ */
+async function switchProfile(profileId) {
+  setActiveProfileId(profileId);
+  currentSheet = null;
+
+  setupAutoRefresh();
+  await loadAllData();
+}
+
 /**
  * すべてのシートのデータを読み込み
+ * 全事業所表示の場合は対象の事業所を順番に同期する
+ * @param {Array<Object>} targets - 同期するプロファイル（省略時は表示中のすべて）
  */
-async function loadAllData() {
-  const settings = loadSettings();
+async function loadAllData(targets = null) {
+  const profiles = (targets || getActiveProfiles()).filter(profile => !validateDataSourceSettings(profile));
 
-  // 設定チェック
-  if (settings.useGas) {
-    if (!settings.gasUrl) {
-      showEmptyState();
-      return;
-    }
-  } else {
-    if (!settings.apiKey || !settings.spreadsheetId) {
-      showEmptyState();
-      return;
-    }
+  // 設定チェック（未設定の場合はローカルシートのみ表示）
+  if (profiles.length === 0) {
+    if (!targets) profileDatasets = {};
+    await renderDataset();
+    return;
   }
 
+  // 起動直後・切り替え直後はキャッシュを先に表示してから最新データを取得
+  const restored = await Promise.all(profiles.map(restoreCachedDataset));
+  const hasData = restored.some(Boolean);
+  if (hasData) await renderDataset();
+
   showLoading(true);
 
+  const results = [];
+  for (const profile of profiles) {
+    try {
+      results.push({ profile, result: await syncProfile(profile) });
+    } catch (error) {
+      console.error(`データ読み込みエラー (${profile.name}):`, error);
+      const office = profiles.length > 1 ? ` (${profile.name})` : '';
+      showNotification(`❌ データ読み込み失敗${office}: ${error.message}`, 'error');
+    }
+  }
+
   try {
-    let sheetList;
+    // シートタブとデータを表示
+    await renderDataset();
+
+    if (results.length > 0) {
+      // 最終更新時刻を表示
+      updateLastUpdateTime();
+
+      const sheetCount = results.reduce((sum, { result }) => sum + result.sheetList.length, 0);
+      const message = results.length > 1
+        ? `✅ ${results.length}事業所・${sheetCount}個のシートを読み込みました`
+        : `✅ ${sheetCount}個のシートを読み込みました${formatSyncStats(results[0].result.stats)}`;
+      const issueCount = checkDataQuality();
+      showNotification(issueCount > 0 ? `${message}（データの問題 ${issueCount}件）` : message, 'success');
+    }
 
-    if (settings.useGas) {
-      // GAS経由でデータ取得
-      const { fetchSheetListViaGAS, fetchAllSheetsViaGAS } = await import('./api/gasApi.js');
+    // キャッシュ（または前回取得したデータ）を表示したままにする
+    if (results.length < profiles.length && hasData) {
+      showNotification('⚠️ キャッシュデータを表示しています', 'warning');
+    }
+  } finally {
+    showLoading(false);
+  }
+}
 
-      sheetList = await fetchSheetListViaGAS(settings.gasUrl);
+/**
+ * すべてのシートのデータ品質をチェック
+ * @returns {number} - 問題の件数の合計
+ */
+function checkDataQuality() {
+  return Object.values(allSheetsData)
+    .reduce((sum, data) => sum + countIssues(getDataQuality(data)), 0);
+}
 
-      if (sheetList.length === 0) {
-        showEmptyState();
-        return;
-      }
+/**
+ * 表示中のシートの取得元（事業所とスプレッドシート上のシート名）
+ * @param {string} sheetName - 表示中のシート名
+ * @returns {Object|null} - { profile, title }（ローカルシート・接続設定が無効な場合はnull）
+ */
+function getSheetSource(sheetName) {
+  const source = sheetSources[sheetName];
+  const profile = source && getProfile(source.profileId);
+  if (!profile || validateDataSourceSettings(profile)) return null;
 
-      allSheetsData = await fetchAllSheetsViaGAS(settings.gasUrl);
-    } else {
-      // APIキー経由でデータ取得
-      sheetList = await fetchSheetList(settings.apiKey, settings.spreadsheetId);
+  return { profile, title: source.title };
+}
 
-      if (sheetList.length === 0) {
-        showEmptyState();
-        return;
-      }
+/**
+ * 表示中のシートの行を取得元のスプレッドシートから削除できるか
+ * @param {string} sheetName - 表示中のシート名
+ * @returns {boolean}
+ */
+function canDeleteRows(sheetName) {
+  const source = getSheetSource(sheetName);
+  return Boolean(source) && typeof createDataSource(source.profile).deleteRows === 'function';
+}
 
-      allSheetsData = await fetchAllSheets(settings.apiKey, settings.spreadsheetId);
-    }
+/**
+ * 表示中のシートの行を取得元のスプレッドシートから削除して再読み込み
+ * 読み込み後にシートが変更されていた場合・リビジョンが分からない場合は削除しない（行番号がずれるため）
+ * @param {string} sheetName - 表示中のシート名
+ * @param {Array<number>} rowNumbers - 行番号（1行目は見出し）
+ */
+async function deleteSheetRows(sheetName, rowNumbers) {
+  const source = getSheetSource(sheetName);
+  if (!source) throw new Error('このシートは削除に対応していません');
 
-    // シートタブを表示
-    renderSheetTabs(sheetList);
+  const expectedHash = profileDatasets[source.profile.id]?.syncState?.[source.title]?.hash;
+  if (!expectedHash) {
+    throw new Error('シートの版が確認できないため削除できません。データを再読み込みしてからもう一度お試しください（古いGASスクリプトの場合は最新版への更新が必要です）');
+  }
+  await createDataSource(source.profile).deleteRows(source.title, rowNumbers, { expectedHash });
+  await loadAllData([source.profile]);
+}
 
-    // 最初のシートを表示
-    if (!currentSheet && sheetList.length > 0) {
-      currentSheet = sheetList[0].title;
-    }
+/**
+ * 表示中のシートの行を取得元のスプレッドシートで編集できるか
+ * @param {string} sheetName - 表示中のシート名
+ * @returns {boolean}
+ */
+function canUpdateRow(sheetName) {
+  const source = getSheetSource(sheetName);
+  return Boolean(source) && typeof createDataSource(source.profile).updateRow === 'function';
+}
 
-    displaySheetData(currentSheet);
+/**
+ * 行の編集をスプレッドシートに書き込む
+ * 先に手元のデータを更新して表示し（書き込みを待たない）、書き込めなかった場合は変更したセルを元に戻す
+ * 同じシートへの書き込みは1件ずつ順に行う（前の書き込みで変わったリビジョンを次の書き込みで使う）
+ * 失敗時のエラーの rolledBack は実際に元に戻したかどうか
+ * @param {Object} location - findRowLocation() の結果
+ * @param {Object} changes - { 列名: 値 } 変更したセルのみ
+ * @returns {Promise<Object>} - 更新後の行
+ */
+async function updateSheetRow(location, changes) {
+  const source = getSheetSource(location.sheetName);
+  if (!source) throw new Error('このシートは編集に対応していません');
 
-    // キャッシュに保存
-    cacheData({ sheets: allSheetsData, sheetList, currentSheet });
+  const dataset = profileDatasets[source.profile.id];
+  const previousItem = allSheetsData[location.sheetName][location.index];
+  const updatedItem = { ...previousItem, ...changes };
+  rowEditBases.set(updatedItem, previousItem);
 
-    // 最終更新時刻を表示
-    updateLastUpdateTime();
+  // 配列ごと差し替えて、検索インデックスや列スキーマのキャッシュを作り直させる
+  const rows = [...allSheetsData[location.sheetName]];
+  rows[location.index] = updatedItem;
+  setSheetRows(location.sheetName, dataset, source.title, rows);
 
-    showNotification(`✅ ${sheetList.length}個のシートを読み込みました`, 'success');
+  try {
+    await queueSheetWrite(`${source.profile.id}\n${source.title}`, async () => {
+      // 読み込み後にシートが変更されていた場合は書き込まない（行番号がずれて別の行を上書きしないように）
+      const expectedHash = dataset?.syncState?.[source.title]?.hash;
+      const result = await createDataSource(source.profile).updateRow(source.title, location.index + 2, changes, { expectedHash });
+
+      // 自分の書き込みでリビジョンが変わったので、次の削除・編集や差分同期のために更新しておく
+      const state = dataset?.syncState?.[source.title];
+      if (result?.hash && state && profileDatasets[source.profile.id] === dataset) {
+        dataset.syncState[source.title] = { ...state, hash: result.hash };
+      }
+    });
   } catch (error) {
-    console.error('データ読み込みエラー:', error);
-    showNotification(`❌ データ読み込み失敗: ${error.message}`, 'error');
-
-    // キャッシュがあれば表示
-    const cached = getCachedData();
-    if (cached && cached.sheets) {
-      allSheetsData = cached.sheets;
-      currentSheet = cached.currentSheet;
-      renderSheetTabs(cached.sheetList);
-      displaySheetData(currentSheet);
-      showNotification('⚠️ キャッシュデータを表示しています', 'warning');
-    } else {
-      showEmptyState();
-    }
+    error.rolledBack = rollbackRowEdit(location, dataset, source.title, updatedItem, previousItem, changes);
+    throw error;
   } finally {
-    showLoading(false);
+    // 元に戻した場合も、書き込み中に別の編集が保存した未保存の値をキャッシュから消す
+    cacheDataset(source.profile.id, { ...dataset, currentSheet }, [source.title])
+      .catch(error => console.error('キャッシュ保存エラー:', error));
+  }
+
+  return updatedItem;
+}
+
+const rowEditBases = new WeakMap(); // 編集後の行 → 編集前の行
+const sheetWrites = new Map(); // 事業所とシート名 → 書き込み中の処理
+
+/**
+ * 同じシートへの書き込みを前の書き込みが終わってから行う
+ * @param {string} key - 事業所とシート名
+ * @param {Function} write - 書き込み処理
+ * @returns {Promise} - write() の結果
+ */
+function queueSheetWrite(key, write) {
+  const next = (sheetWrites.get(key) || Promise.resolve()).catch(() => {}).then(write);
+  sheetWrites.set(key, next);
+  next.catch(() => {}).finally(() => {
+    if (sheetWrites.get(key) === next) sheetWrites.delete(key);
+  });
+  return next;
+}
+
+/**
+ * 書き込めなかった編集のセルを元に戻す
+ * 行がその編集（またはその後の編集）のままの場合だけ、値を書き換えていないセルを戻す
+ * 再読み込みで行が差し替わっていれば最新のデータのままにする
+ * @returns {boolean} - 元に戻したかどうか
+ */
+function rollbackRowEdit(location, dataset, title, updatedItem, previousItem, changes) {
+  const rows = allSheetsData[location.sheetName];
+  const current = rows?.[location.index];
+
+  let item = current;
+  while (item && item !== updatedItem) item = rowEditBases.get(item);
+  if (!item) return false;
+
+  const restored = { ...current };
+  Object.keys(changes).forEach(field => {
+    if (current[field] === updatedItem[field]) restored[field] = previousItem[field];
+  });
+  rowEditBases.set(restored, current);
+
+  const restoredRows = [...rows];
+  restoredRows[location.index] = restored;
+  setSheetRows(location.sheetName, dataset, title, restoredRows);
+  return true;
+}
+
+/**
+ * 表示中のシートと事業所のデータセットの行を差し替えて表示を更新
+ */
+function setSheetRows(sheetName, dataset, title, rows) {
+  allSheetsData[sheetName] = rows;
+  if (dataset) dataset.sheets[title] = rows;
+  if (sheetName === currentSheet) displaySheetData(sheetName);
+}
+
+/**
+ * 行がどのシートの何番目かを調べる
+ * @param {Object} item - 行
+ * @returns {Object|null} - { sheetName, index }
+ */
+function findRowLocation(item) {
+  const sheetNames = [currentSheet, ...Object.keys(allSheetsData).filter(name => name !== currentSheet)];
+  for (const sheetName of sheetNames) {
+    const index = allSheetsData[sheetName]?.indexOf(item) ?? -1;
+    if (index >= 0) return { sheetName, index };
+  }
+  return null;
+}
+
+/**
+ * 事業所のデータを差分同期してキャッシュに保存
+ * @param {Object} profile - プロファイル
+ * @returns {Promise<Object>} - syncSheets() の結果
+ */
+async function syncProfile(profile) {
+  const previous = profileDatasets[profile.id] || {};
+  const dataSource = createDataSource(profile);
+
+  // 手元のデータを基準に差分同期（全件取得の場合は読み込み中の表示に進み具合を出す）
+  const office = getActiveProfileId() === ALL_PROFILES_ID ? profile.name : '';
+  const result = await syncSheets(dataSource, { sheets: previous.sheets, syncState: previous.syncState }, {
+    onProgress: (loaded, total) => updateLoadingProgress(loaded, total, office),
+  });
+
+  const dataset = { sheets: result.sheets, sheetList: result.sheetList, syncState: result.syncState };
+  profileDatasets[profile.id] = dataset;
+
+  // キャッシュに保存（ローカルシートは別に保存済み）
+  cacheDataset(profile.id, { ...dataset, currentSheet }, result.changedSheets)
+    .catch(error => console.error('キャッシュ保存エラー:', error));
+
+  return result;
+}
+
+/**
+ * キャッシュ（IndexedDB）から事業所のデータセットを復元
+ * @param {Object} profile - プロファイル
+ * @returns {Promise<boolean>} - 手元にデータがあるかどうか
+ */
+async function restoreCachedDataset(profile) {
+  if (profileDatasets[profile.id]) return true;
+
+  try {
+    const cached = await getCachedDataset(profile.id);
+    if (!cached || Object.keys(cached.sheets).length === 0) return false;
+
+    profileDatasets[profile.id] = {
+      sheets: cached.sheets,
+      sheetList: cached.sheetList || [],
+      syncState: cached.syncState || null,
+    };
+    currentSheet = currentSheet || cached.currentSheet;
+    return true;
+  } catch (error) {
+    console.error('キャッシュ読み込みエラー:', error);
+    return false;
+  }
+}
+
+/**
+ * 差分同期の結果を通知用の文字列にする
+ */
+function formatSyncStats(stats) {
+  if (!stats || stats.mode !== 'incremental') return '';
+  const updated = stats.appended + stats.full;
+  return updated === 0 ? '（変更なし）' : `（更新: ${updated}シート）`;
+}
+
+/**
+ * スプレッドシートのデータとローカルシート（CSVインポート）を合わせて表示
+ * 全事業所表示の場合はシート名の前に事業所名を付けて区別する
+ */
+async function renderDataset() {
+  const sheets = {};
+  const sheetList = [];
+  const labelByOffice = getActiveProfileId() === ALL_PROFILES_ID;
+  sheetSources = {};
+
+  getActiveProfiles().forEach(profile => {
+    const dataset = profileDatasets[profile.id];
+    if (!dataset) return;
+
+    dataset.sheetList.forEach(sheet => {
+      const title = labelByOffice ? `${profile.name} / ${sheet.title}` : sheet.title;
+      sheets[title] = dataset.sheets[sheet.title];
+      sheetList.push({ title, label: sheet.title, office: labelByOffice ? profile.name : null });
+      sheetSources[title] = { profileId: profile.id, title: sheet.title };
+    });
+  });
+
+  let localSheets = [];
+  try {
+    localSheets = await getLocalSheets();
+  } catch (error) {
+    console.error('ローカルシート読み込みエラー:', error);
+  }
+
+  localSheets.forEach(localSheet => {
+    // スプレッドシート側に同名のシートがある場合は区別できる名前にする
+    const title = sheets[localSheet.title] ? `${localSheet.title} (CSV)` : localSheet.title;
+    sheets[title] = convertToObjects(localSheet.data);
+    sheetList.push({ title, local: true });
+  });
+
+  allSheetsData = sheets;
+
+  // 検索が大きなシートでも速いように読み込み時にインデックスを作っておく
+  Object.values(allSheetsData).forEach(data => getSearchIndex(data));
+
+  if (sheetList.length === 0) {
+    showEmptyState();
+    return;
+  }
+
+  renderSheetTabs(sheetList);
+
+  // 表示中のシートがなくなった場合は最初のシートを表示
+  if (!currentSheet || !allSheetsData[currentSheet]) {
+    switchSheet(sheetList[0].title);
+  } else {
+    displaySheetData(currentSheet);
   }
 }
 
@@ -408,7 +883,7 @@ function renderSheetTabs(sheetList) {
   tabsContainer.innerHTML = sheetList.map(sheet => `
     <button class="sheet-tab ${sheet.title === currentSheet ? 'active' : ''}" 
             data-sheet="${escapeHtml(sheet.title)}">
-      ${escapeHtml(sheet.title)}
+      ${sheet.local ? '📁 ' : ''}${sheet.office ? `<span class="sheet-tab-office">${escapeHtml(sheet.office)}</span>` : ''}${escapeHtml(sheet.label || sheet.title)}
     </button>
   `).join('');
 
@@ -416,6 +891,7 @@ function renderSheetTabs(sheetList) {
   tabsContainer.querySelectorAll('.sheet-tab').forEach(tab => {
     tab.addEventListener('click', (e) => {
       const sheetName = e.currentTarget.dataset.sheet;
+      if (sheetName !== currentSheet) savedViewsBar.clearActive();
       switchSheet(sheetName);
     });
   });
@@ -427,6 +903,9 @@ function renderSheetTabs(sheetList) {
  * シートを切り替え
  */
 function switchSheet(sheetName) {
+  // 列が変わるのでフィルター・ソートは引き継がない
+  if (sheetName !== currentSheet) clearFilterState();
+
   currentSheet = sheetName;
 
   // タブのアクティブ状態を更新
@@ -448,16 +927,16 @@ function displaySheetData(sheetName) {
   }
 
   currentData = allSheetsData[sheetName];
-  filteredData = currentData;
 
   // タイトルを更新
   document.getElementById('dashboardTitle').textContent = `📈 ${sheetName}`;
 
-  // 統計を表示
-  displayStats(currentData);
+  savedViewsBar.render();
+  document.getElementById('savedViews').classList.remove('hidden');
+  dataQualityPanel.render(sheetName, getDataQuality(currentData));
 
-  // データカードを表示
-  renderDataCards(filteredData);
+  // 統計とデータカードを表示（更新時は検索・フィルター・ソートを保ったまま）
+  refreshFilteredData();
 
   // フィルター・ソートのフィールドを更新
   updateFilterFields();
@@ -465,9 +944,11 @@ function displaySheetData(sheetName) {
 
 /**
  * 統計を表示
+ * 件数のカードはシート全体、集計カードは検索・フィルター後のデータを集計する
  */
 function displayStats(data) {
-  const stats = calculateStats(data);
+  const schema = getSchema(currentData);
+  const stats = calculateStats(currentData, schema);
   const statsContainer = document.getElementById('dataStats');
 
   document.getElementById('statTotal').textContent = stats.total;
@@ -475,6 +956,8 @@ function displayStats(data) {
   document.getElementById('statWeek').textContent = stats.thisWeek;
   document.getElementById('statMonth').textContent = stats.thisMonth;
 
+  aggregationCards.render(currentSheet, data, schema);
+
   statsContainer.classList.remove('hidden');
 }
 
@@ -487,9 +970,53 @@ function handleSearch() {
 
   // クリアボタンの表示/非表示
   clearBtn.classList.toggle('hidden', !query);
+  savedViewsBar.clearActive();
 
   // 検索実行
-  filteredData = searchData(currentData, query);
+  refreshFilteredData();
+}
+
+/**
+ * 検索・フィルター・ソートを適用して表示を更新
+ */
+function refreshFilteredData() {
+  const query = document.getElementById('searchInput').value;
+  const schema = getSchema(currentData);
+
+  let data = searchData(currentData, query);
+  data = filterData(data, activeFilter, schema);
+  if (activeSort.field) {
+    data = sortData(data, activeSort.field, activeSort.direction, schema);
+  }
+
+  filteredData = data;
+  displayStats(filteredData);
+  chartPanel.render(filteredData, schema);
+  renderDataCards(filteredData);
+}
+
+/**
+ * 表の見出しをタップしてソート（同じ列なら昇順・降順を切り替え）
+ * @param {string} field - 列名
+ */
+function sortByColumn(field) {
+  const direction = activeSort.field === field && activeSort.direction === 'asc' ? 'desc' : 'asc';
+  activeSort = { field, direction };
+  document.getElementById('sortField').value = field;
+  document.getElementById('sortDirection').value = direction;
+
+  savedViewsBar.clearActive();
+  refreshFilteredData();
+}
+
+/**
+ * 表示中のシートのカード表示・表表示を切り替え
+ */
+function toggleLayoutMode() {
+  if (!currentSheet) return;
+
+  const { mode } = getSheetLayout(currentSheet);
+  setSheetLayout(currentSheet, { mode: mode === LAYOUT_MODES.TABLE ? LAYOUT_MODES.CARDS : LAYOUT_MODES.TABLE });
   renderDataCards(filteredData);
 }
 
@@ -515,24 +1042,73 @@ function updateFilterFields() {
 
   if (!currentData || currentData.length === 0) return;
 
+  // 列の型を添えて表示（型に応じて日付順・時刻順・数値順に並べる）
+  const schema = getSchema(currentData);
   const fields = Object.keys(currentData[0]);
   sortField.innerHTML = '<option value="">選択してください</option>' +
-    fields.map(field => `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`).join('');
+    fields.map(field => {
+      const typeLabel = COLUMN_TYPE_LABELS[schema[field]?.type] || '';
+      return `<option value="${escapeHtml(field)}">${escapeHtml(field)}${typeLabel ? ` (${typeLabel})` : ''}</option>`;
+    }).join('');
+  sortField.value = activeSort.field;
+  document.getElementById('sortDirection').value = activeSort.direction;
+
+  filterBuilder.setFields(fields, schema);
+  filterBuilder.setExpression(activeFilter);
+
+  // 表示する項目（カード・表で共通。カードでは先頭の列がタイトル）
+  const shownColumns = getShownColumns(currentSheet, fields);
+  document.getElementById('visibleColumnsList').innerHTML = fields.map(field => `
+    <label class="visible-column-option">
+      <input type="checkbox" value="${escapeHtml(field)}" ${shownColumns.includes(field) ? 'checked' : ''}>
+      ${escapeHtml(field)}
+    </label>
+  `).join('');
+}
+
+/**
+ * モーダルで選ばれた表示項目をシートのレイアウトに保存（変わっていなければ保存しない）
+ * 表で並べ替えた順は保ち、新しく選んだ列はシートの順で後ろに加える
+ */
+function applyVisibleColumns() {
+  const fields = currentData.length > 0 ? Object.keys(currentData[0]) : [];
+  const checked = [...document.querySelectorAll('#visibleColumnsList input:checked')].map(input => input.value);
+  const shown = getShownColumns(currentSheet, fields);
+  if (checked.length === shown.length && checked.every(field => shown.includes(field))) return;
+
+  setSheetLayout(currentSheet, {
+    columns: [...shown.filter(field => checked.includes(field)), ...checked.filter(field => !shown.includes(field))],
+  });
 }
 
 /**
  * フィルター・ソートを適用
  */
 function applyFilter() {
-  const sortField = document.getElementById('sortField').value;
-  const sortDirection = document.getElementById('sortDirection').value;
-
-  if (sortField) {
-    filteredData = sortData(filteredData, sortField, sortDirection);
-    renderDataCards(filteredData);
-    showNotification(`✅ ${sortField}でソートしました`, 'success');
+  activeFilter = normalizeExpression(filterBuilder.getExpression());
+  activeSort = {
+    field: document.getElementById('sortField').value,
+    direction: document.getElementById('sortDirection').value,
+  };
+  try {
+    applyVisibleColumns();
+  } catch (error) {
+    showNotification(`❌ ${error.message}`, 'error');
+    return;
   }
 
+  refreshFilteredData();
+  updateFilterButton();
+  savedViewsBar.clearActive();
+
+  const conditionCount = countConditions(activeFilter);
+  const messages = [];
+  if (conditionCount > 0) messages.push(`${conditionCount}件の条件で絞り込みました（${filteredData.length}件）`);
+  if (activeSort.field) messages.push(`${activeSort.field}でソートしました`);
+  if (messages.length > 0) showNotification(`✅ ${messages.join('・')}`, 'success');
+
+  // 入力途中の条件を除いた式を編集画面に戻す
+  filterBuilder.setExpression(activeFilter);
   closeFilterModal();
 }
 
@@ -543,21 +1119,98 @@ function resetFilter() {
   document.getElementById('sortField').value = '';
   document.getElementById('sortDirection').value = 'asc';
   document.getElementById('searchInput').value = '';
+  document.getElementById('clearSearchBtn').classList.add('hidden');
 
-  filteredData = currentData;
-  renderDataCards(filteredData);
+  clearFilterState();
+  if (currentSheet) setSheetLayout(currentSheet, { columns: null });
+  refreshFilteredData();
+  updateFilterFields();
+  savedViewsBar.clearActive();
 
   closeFilterModal();
   showNotification('✅ フィルターをリセットしました', 'success');
 }
 
 /**
- * データカードをレンダリング
+ * フィルター・ソートの状態をクリア
+ */
+function clearFilterState() {
+  activeFilter = createEmptyExpression();
+  activeSort = { field: '', direction: 'asc' };
+  filterBuilder.setExpression(activeFilter);
+  updateFilterButton();
+}
+
+/**
+ * 現在の表示状態（保存したビューとして保存する内容）
+ * 表示する列と表示モードはシートのレイアウト（api/sheetLayouts.js）から取る
+ */
+function getCurrentViewState() {
+  const layout = currentSheet ? getSheetLayout(currentSheet) : { mode: null, columns: null };
+  return {
+    sheet: currentSheet,
+    query: document.getElementById('searchInput').value,
+    filter: activeFilter,
+    sort: activeSort,
+    columns: layout.columns,
+    layout: layout.mode,
+  };
+}
+
+/**
+ * 保存したビューを適用
+ */
+function applySavedView(view) {
+  if (view.sheet && view.sheet !== currentSheet) {
+    if (!allSheetsData[view.sheet]) {
+      showNotification(`⚠️ シート「${view.sheet}」が見つかりません。現在のシートに適用します`, 'warning');
+    } else {
+      switchSheet(view.sheet);
+    }
+  }
+
+  const searchInput = document.getElementById('searchInput');
+  searchInput.value = view.query || '';
+  document.getElementById('clearSearchBtn').classList.toggle('hidden', !searchInput.value);
+
+  activeFilter = normalizeExpression(view.filter);
+  activeSort = { field: '', direction: 'asc', ...view.sort };
+  if (currentSheet) {
+    setSheetLayout(currentSheet, {
+      columns: view.columns?.length > 0 ? view.columns : null,
+      ...(Object.values(LAYOUT_MODES).includes(view.layout) ? { mode: view.layout } : {}),
+    });
+  }
+
+  refreshFilteredData();
+  updateFilterFields();
+  updateFilterButton();
+}
+
+/**
+ * フィルターボタンに適用中の条件数を表示
+ */
+function updateFilterButton() {
+  const count = countConditions(activeFilter);
+  const filterBtn = document.getElementById('filterBtn');
+  filterBtn.textContent = count > 0 ? `📋 フィルター (${count})` : '📋 フィルター';
+  filterBtn.classList.toggle('active', count > 0);
+}
+
+/**
+ * データカード（表表示のシートは表の行）をレンダリング
+ * 大きなシートでも固まらないように、最初の分だけ作ってスクロールに合わせて追加する
  */
 function renderDataCards(data) {
   const container = document.getElementById('dataContainer');
+  const isTable = getSheetLayout(currentSheet).mode === LAYOUT_MODES.TABLE;
+
+  // 切り替えボタンには切り替え先を表示
+  document.getElementById('layoutToggleBtn').textContent = isTable ? '🃏 カード' : '🗂️ 表';
+  container.classList.toggle('table-mode', isTable);
 
   if (!data || data.length === 0) {
+    dataList.clear();
     container.innerHTML = '<div class="empty-state"><div class="empty-icon">🔍</div><h3>データが見つかりません</h3><p>検索条件を変更してください</p></div>';
     return;
   }
@@ -568,29 +1221,34 @@ function renderDataCards(data) {
     emptyState.style.display = 'none';
   }
 
-  // データカードを生成
-  container.innerHTML = data.map((item, index) => createDataCard(item, index)).join('');
+  // 同じ記録が複数ある行にはバッジを付ける
+  const duplicates = getDuplicates(currentData, getDuplicateKey(currentSheet)).byItem;
 
-  // カードクリックイベント
-  container.querySelectorAll('.data-card').forEach((card, index) => {
-    card.addEventListener('click', () => {
-      showDetailModal(data[index]);
-    });
-  });
+  // データカードを生成（クリックは DataList がまとめて受け取る）
+  if (isTable) {
+    const frame = dataTable.createFrame(currentSheet, Object.keys(currentData[0]), activeSort);
+    dataList.render(data, (item, index) => dataTable.createRow(item, index, duplicates.has(item)), frame);
+  } else {
+    // カードのタイトルにする先頭の列は本文に重ねて出さない
+    const fields = Object.keys(currentData[0]);
+    const columns = getShownColumns(currentSheet, fields, LAYOUT_MODES.CARDS).filter(field => field !== fields[0]);
+    dataList.render(data, (item, index) => createDataCard(item, index, columns, duplicates.has(item)));
+  }
 }
 
 /**
  * データカードを作成
  */
-function createDataCard(item, index) {
+function createDataCard(item, index, columns, isDuplicate = false) {
   const keys = Object.keys(item);
   const title = item[keys[0]] || `データ ${index + 1}`;
-  const content = keys.slice(1, 4).map(key => `<strong>${escapeHtml(key)}:</strong> ${escapeHtml(item[key])}`).join('<br>');
+  const content = columns.map(key => `<strong>${escapeHtml(key)}:</strong> ${escapeHtml(item[key])}`).join('<br>');
 
   return `
-    <div class="data-card">
+    <div class="data-card" data-index="${index}">
       <div class="card-header">
         <h3 class="card-title">${escapeHtml(title)}</h3>
+        ${isDuplicate ? '<span class="card-badge duplicate-badge" title="同じ記録が他にもあります">⚠️ 重複</span>' : ''}
         <span class="card-badge">#${index + 1}</span>
       </div>
       <div class="card-content">
@@ -622,9 +1280,153 @@ function showDetailModal(item) {
     </div>
   `).join('');
 
+  // 利用者・スタッフ列があればそれぞれの画面へのリンクを表示
+  const residentName = String(item['利用者'] ?? '').trim();
+  const staffName = String(item['スタッフ'] ?? '').trim();
+  const actions = [];
+
+  if (residentName && residentName !== '-') {
+    actions.push(`<button id="openResidentProfileBtn" class="btn btn-secondary">👤 ${escapeHtml(residentName)}さん</button>`);
+  }
+  if (staffName && staffName !== '-') {
+    actions.push(`<button id="openStaffProfileBtn" class="btn btn-secondary">🧑‍⚕️ ${escapeHtml(staffName)}さん</button>`);
+  }
+
+  // スプレッドシートに書き込めるシートの行は編集できる
+  const location = findRowLocation(item);
+  if (location && canUpdateRow(location.sheetName)) {
+    actions.push('<button id="editRowBtn" class="btn btn-secondary">✏️ 編集</button>');
+  }
+
+  if (actions.length > 0) {
+    modalBody.insertAdjacentHTML('beforeend', `<div class="modal-actions button-group">${actions.join('')}</div>`);
+    document.getElementById('openResidentProfileBtn')?.addEventListener('click', () => {
+      showPersonProfile('residents', residentName);
+    });
+    document.getElementById('openStaffProfileBtn')?.addEventListener('click', () => {
+      showPersonProfile('staff', staffName);
+    });
+    document.getElementById('editRowBtn')?.addEventListener('click', () => {
+      showRowEditor(item, location);
+    });
+  }
+
   modal.classList.remove('hidden');
 }
 
+/**
+ * 詳細モーダルを編集フォームにする
+ * 選択肢の列はプルダウン、それ以外は列の型をヒントにした入力欄
+ * @param {Object} item - 行
+ * @param {Object} location - findRowLocation() の結果
+ */
+function showRowEditor(item, location) {
+  const modalBody = document.getElementById('modalBody');
+  const schema = getSchema(allSheetsData[location.sheetName]);
+  const keys = Object.keys(item);
+
+  modalBody.innerHTML = keys.map((key, index) => {
+    const column = schema[key];
+    const input = column?.type === COLUMN_TYPES.ENUM
+      ? `<select id="editField${index}" class="input-field"></select>`
+      : `<input type="text" id="editField${index}" class="input-field" placeholder="${COLUMN_TYPE_LABELS[column?.type] || ''}">`;
+
+    return `
+      <div class="detail-row">
+        <label class="detail-label" for="editField${index}">${escapeHtml(key)}</label>
+        <div class="detail-value">
+          ${input}
+          <div id="editError${index}" class="detail-error hidden"></div>
+        </div>
+      </div>
+    `;
+  }).join('') + `
+    <div class="modal-actions button-group">
+      <button id="cancelEditBtn" class="btn btn-secondary">キャンセル</button>
+      <button id="saveEditBtn" class="btn btn-primary">💾 保存</button>
+    </div>
+  `;
+
+  // 値は属性に埋め込まずに設定する（引用符を含む値のため）
+  keys.forEach((key, index) => {
+    const field = document.getElementById(`editField${index}`);
+    const current = String(item[key] ?? '');
+
+    if (field.tagName === 'SELECT') {
+      [...new Set(['', current, ...(schema[key].values || [])])].forEach(value => {
+        field.append(new Option(value || '（空欄）', value));
+      });
+    }
+    field.value = current;
+  });
+
+  document.getElementById('cancelEditBtn').addEventListener('click', () => showDetailModal(item));
+  document.getElementById('saveEditBtn').addEventListener('click', (e) => saveRowEdit(item, location, e.currentTarget));
+}
+
+/**
+ * 編集フォームの内容を検証して書き込む
+ */
+async function saveRowEdit(item, location, saveBtn) {
+  const schema = getSchema(allSheetsData[location.sheetName]);
+  const changes = {};
+  let hasError = false;
+
+  // 変更したセルだけを検証する（元から型に合わない値が入っている列があっても他の列は直せるように）
+  Object.keys(item).forEach((key, index) => {
+    // 前後の空白は保存しないので、空白だけの変更は変更とみなさない
+    const value = document.getElementById(`editField${index}`).value.trim();
+    const changed = value !== String(item[key] ?? '').trim();
+    const error = changed ? validateValue(value, schema[key]) : null;
+    const errorEl = document.getElementById(`editError${index}`);
+    errorEl.textContent = error || '';
+    errorEl.classList.toggle('hidden', !error);
+
+    if (error) hasError = true;
+    if (changed) changes[key] = value;
+  });
+
+  if (hasError) return;
+  if (Object.keys(changes).length === 0) {
+    showDetailModal(item);
+    return;
+  }
+
+  // 編集中に再読み込みされた場合は行の位置が変わっている可能性がある
+  if (allSheetsData[location.sheetName]?.[location.index] !== item) {
+    showNotification('⚠️ データが更新されたため保存できませんでした。もう一度開いて編集してください', 'warning');
+    closeDetailModal();
+    return;
+  }
+
+  saveBtn.disabled = true;
+  saveBtn.textContent = '保存中...';
+  try {
+    const updatedItem = await updateSheetRow(location, changes);
+    showNotification(`✅ ${Object.keys(changes).join('・')}を更新しました`, 'success');
+    if (!document.getElementById('detailModal').classList.contains('hidden')) showDetailModal(updatedItem);
+  } catch (error) {
+    console.error('行の更新エラー:', error);
+    showNotification(`❌ 保存に失敗しました${error.rolledBack ? '（元に戻しました）' : ''}: ${error.message}`, 'error');
+    saveBtn.disabled = false;
+    saveBtn.textContent = '💾 保存';
+  }
+}
+
+/**
+ * 利用者・スタッフのプロフィールを表示
+ */
+function showPersonProfile(viewName, name) {
+  closeDetailModal();
+  showView(viewName);
+
+  if (viewName === 'residents') {
+    residentView.renderProfile(name);
+  } else {
+    staffView.renderProfile(name);
+  }
+}
+
 /**
  * 詳細モーダルを閉じる
  */
@@ -641,7 +1443,7 @@ function showEmptyState() {
   const sheetTabs = document.getElementById('sheetTabs');
   const dataStats = document.getElementById('dataStats');
 
-  container.innerHTML = '';
+  dataList.clear();
   if (emptyState) {
     emptyState.style.display = 'block';
     container.appendChild(emptyState);
@@ -649,6 +1451,9 @@ function showEmptyState() {
 
   sheetTabs.classList.add('hidden');
   dataStats.classList.add('hidden');
+  document.getElementById('savedViews').classList.add('hidden');
+  document.getElementById('chartPanel').classList.add('hidden');
+  document.getElementById('dataQuality').classList.add('hidden');
 }
 
 /**
@@ -659,6 +1464,26 @@ function showLoading(show) {
   if (loading) {
     loading.classList.toggle('hidden', !show);
   }
+  updateLoadingProgress(0, 0);
+}
+
+/**
+ * 読み込み中の表示に進み具合を表示
+ * @param {number} loaded - 取得済みの行数
+ * @param {number} total - 全体の行数（0なら件数を表示しない）
+ * @param {string} office - 事業所名（全事業所表示の場合）
+ */
+function updateLoadingProgress(loaded, total, office = '') {
+  const message = document.getElementById('loadingMessage');
+  const progress = document.getElementById('loadingProgress');
+  if (!message || !progress) return;
+
+  const prefix = office ? `${office}: ` : '';
+  message.textContent = total > 0
+    ? `${prefix}データを読み込み中... ${loaded.toLocaleString('ja-JP')} / ${total.toLocaleString('ja-JP')}行`
+    : `${prefix}データを読み込み中...`;
+  progress.classList.toggle('hidden', total === 0);
+  document.getElementById('loadingProgressBar').style.width = total > 0 ? `${Math.round(loaded / total * 100)}%` : '0';
 }
 
 /**
@@ -677,24 +1502,26 @@ function updateLastUpdateTime() {
 
 /**
  * 自動更新を設定
+ * 事業所ごとの更新間隔でタイマーを設定する
  */
 function setupAutoRefresh() {
   // 既存のタイマーをクリア
-  if (autoRefreshTimer) {
-    clearInterval(autoRefreshTimer);
-    autoRefreshTimer = null;
-  }
-
-  const settings = loadSettings();
-  const interval = parseInt(settings.autoRefreshInterval || '0');
-
-  if (interval > 0) {
-    autoRefreshTimer = setInterval(() => {
-      console.log('🔄 自動更新実行');
-      loadAllData();
-    }, interval);
+  autoRefreshTimers.forEach(timer => clearInterval(timer));
+  autoRefreshTimers = [];
+
+  const scheduled = [];
+  getActiveProfiles().forEach(profile => {
+    const interval = parseInt(profile.autoRefreshInterval || '0');
+    if (interval <= 0) return;
+
+    autoRefreshTimers.push(setInterval(() => {
+      loadAllData([getProfile(profile.id) || profile]);
+    }, interval));
+    scheduled.push(`${profile.name} ${interval / 1000}秒ごと`);
+  });
 
-    console.log(`✅ 自動更新を設定しました (${interval / 1000}秒ごと)`);
+  if (scheduled.length > 0) {
+    console.log(`✅ 自動更新を設定しました (${scheduled.join('、')})`);
   }
 }
 
@@ -729,15 +1556,6 @@ function showNotification(message, type = 'info') {
   }, 3000);
 }
 
-/**
- * HTMLエスケープ
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 // アニメーション追加
 const style = document.createElement('style');
 style.textContent = `
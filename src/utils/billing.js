@@ -0,0 +1,114 @@
+/**
+ * 未請求の追跡
+ * 実績が「完了」で請求が「未」の行を集め、経過日数・利用者・サービス・月ごとにまとめる
+ */
+
+import { findDateField } from './dataProcessor.js';
+import { parseDate, toDateKey } from './schema.js';
+import { RESIDENT_FIELD } from './people.js';
+
+const RESULT_FIELD = '実績';
+const BILLING_FIELD = '請求';
+const SERVICE_FIELD = 'サービス';
+const COMPLETED = '完了';
+const UNBILLED = '未';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 未請求の一覧を作成
+ * @param {Object} sheetsData - シート名をキーとしたデータオブジェクト
+ * @param {Object} options - { thresholdDays: 強調する経過日数, today: 基準日 }
+ * @returns {Object} - { items, residents, months, overdueCount, hasBillingSheet }
+ *   items: { source, rowNumber, item, date, resident, service, daysOutstanding, overdue }（古い順）
+ *   residents: { resident, count, overdue, services: [{ service, count, overdue, items }] }（件数の多い順）
+ *   months: { month: 'YYYY-MM', count, overdue }（月の古い順）
+ */
+export function buildBillingReport(sheetsData, { thresholdDays = 30, today = new Date() } = {}) {
+    const baseDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const items = [];
+    let hasBillingSheet = false;
+
+    Object.entries(sheetsData || {}).forEach(([source, rows]) => {
+        if (!rows || rows.length === 0) return;
+        if (!(RESULT_FIELD in rows[0]) || !(BILLING_FIELD in rows[0])) return;
+        hasBillingSheet = true;
+
+        const dateField = findDateField(rows);
+
+        rows.forEach((item, index) => {
+            if (String(item[RESULT_FIELD] ?? '').trim() !== COMPLETED) return;
+            if (String(item[BILLING_FIELD] ?? '').trim() !== UNBILLED) return;
+
+            const date = dateField ? parseDate(item[dateField]) : null;
+            const serviceDay = date ? new Date(date.getFullYear(), date.getMonth(), date.getDate()) : null;
+            const daysOutstanding = serviceDay ? Math.max(0, Math.round((baseDay - serviceDay) / MS_PER_DAY)) : null;
+
+            items.push({
+                source,
+                rowNumber: index + 2, // シートの行番号（1行目は見出し）
+                item,
+                date: date ? toDateKey(date) : '日付なし',
+                resident: String(item[RESIDENT_FIELD] ?? '').trim() || '（利用者なし）',
+                service: String(item[SERVICE_FIELD] ?? '').trim() || '（サービスなし）',
+                daysOutstanding,
+                overdue: daysOutstanding !== null && daysOutstanding > thresholdDays,
+            });
+        });
+    });
+
+    items.sort((a, b) => (b.daysOutstanding ?? -1) - (a.daysOutstanding ?? -1));
+
+    return {
+        items,
+        residents: groupByResident(items),
+        months: groupByMonth(items),
+        overdueCount: items.filter(item => item.overdue).length,
+        hasBillingSheet,
+    };
+}
+
+function groupByResident(items) {
+    const residents = new Map();
+
+    items.forEach(entry => {
+        if (!residents.has(entry.resident)) {
+            residents.set(entry.resident, { resident: entry.resident, count: 0, overdue: 0, services: new Map() });
+        }
+        const resident = residents.get(entry.resident);
+        resident.count++;
+        if (entry.overdue) resident.overdue++;
+
+        if (!resident.services.has(entry.service)) {
+            resident.services.set(entry.service, { service: entry.service, count: 0, overdue: 0, items: [] });
+        }
+        const service = resident.services.get(entry.service);
+        service.count++;
+        if (entry.overdue) service.overdue++;
+        service.items.push(entry);
+    });
+
+    return Array.from(residents.values())
+        .map(resident => ({
+            ...resident,
+            services: Array.from(resident.services.values()).sort((a, b) => b.count - a.count),
+        }))
+        .sort((a, b) => b.count - a.count || a.resident.localeCompare(b.resident, 'ja'));
+}
+
+/**
+ * 月ごとの未請求件数（月末締めの集計）
+ */
+function groupByMonth(items) {
+    const months = new Map();
+
+    items.forEach(entry => {
+        const month = entry.date.slice(0, 7);
+        const key = /^\d{4}-\d{2}$/.test(month) ? month : '日付なし';
+        const total = months.get(key) || { month: key, count: 0, overdue: 0 };
+        total.count++;
+        if (entry.overdue) total.overdue++;
+        months.set(key, total);
+    });
+
+    return Array.from(months.values()).sort((a, b) => a.month.localeCompare(b.month));
+}
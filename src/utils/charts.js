@@ -0,0 +1,115 @@
+/**
+ * SVGグラフ
+ * 外部サービスやライブラリを使わずに棒グラフのSVG文字列を作成する
+ * 色はCSSのクラス（.chart-series-0 〜）で指定する
+ */
+
+import { escapeHtml } from './html.js';
+
+const WIDTH = 600;
+const PADDING = { top: 12, right: 8, bottom: 24, left: 32 };
+const MAX_LABELS = 8; // 横軸に表示するラベルの最大数
+
+/**
+ * 目盛りに使うきりの良い最大値
+ */
+function niceMax(value) {
+    if (value <= 5) return Math.max(value, 1);
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= value / 4) * magnitude;
+    return Math.ceil(value / step) * step;
+}
+
+/**
+ * 縦棒グラフ（積み上げ対応）
+ * @param {Array<Object>} points - { label, values: { 系列キー: 数値 }, title? } の配列
+ * @param {Array<Object>} series - { key, label } の配列（積み上げる順）
+ * @param {Object} options - { height }
+ * @returns {string} - SVG文字列
+ */
+export function createColumnChart(points, series, options = {}) {
+    const height = options.height || 180;
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+
+    const totals = points.map(point => series.reduce((sum, s) => sum + (point.values[s.key] || 0), 0));
+    const max = niceMax(Math.max(0, ...totals));
+    const slot = plotWidth / Math.max(points.length, 1);
+    const barWidth = Math.max(slot * 0.7, 1);
+    const labelEvery = Math.ceil(points.length / MAX_LABELS);
+
+    const bars = points.map((point, index) => {
+        const x = PADDING.left + slot * index + (slot - barWidth) / 2;
+        let y = PADDING.top + plotHeight;
+
+        const segments = series.map((s, seriesIndex) => {
+            const value = point.values[s.key] || 0;
+            if (value === 0) return '';
+            const barHeight = (value / max) * plotHeight;
+            y -= barHeight;
+            const title = `${point.title || point.label}${series.length > 1 ? ` ${s.label}` : ''}: ${value}`;
+            return `<rect class="chart-bar chart-series-${seriesIndex % 5}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${escapeHtml(title)}</title></rect>`;
+        }).join('');
+
+        const label = index % labelEvery === 0
+            ? `<text class="chart-axis-label" x="${(x + barWidth / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle">${escapeHtml(point.label)}</text>`
+            : '';
+
+        return segments + label;
+    }).join('');
+
+    const gridY = [0, 0.5, 1].map(ratio => {
+        const y = PADDING.top + plotHeight * (1 - ratio);
+        return `
+            <line class="chart-grid" x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y.toFixed(1)}" y2="${y.toFixed(1)}" />
+            <text class="chart-axis-label" x="${PADDING.left - 4}" y="${(y + 4).toFixed(1)}" text-anchor="end">${formatTick(max * ratio)}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+            ${gridY}
+            ${bars}
+        </svg>
+    `;
+}
+
+/**
+ * 横棒グラフ（内訳）
+ * @param {Array<Object>} items - { label, value } の配列（表示する順）
+ * @returns {string} - SVG文字列
+ */
+export function createBreakdownChart(items) {
+    const rowHeight = 24;
+    const labelWidth = 140;
+    const valueWidth = 72;
+    const height = Math.max(items.length, 1) * rowHeight;
+    const barArea = WIDTH - labelWidth - valueWidth;
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    const max = Math.max(1, ...items.map(item => item.value));
+
+    const rows = items.map((item, index) => {
+        const y = index * rowHeight;
+        const barWidth = Math.max((item.value / max) * barArea, 1);
+        const percent = total > 0 ? Math.round((item.value / total) * 100) : 0;
+        return `
+            <text class="chart-label" x="${labelWidth - 8}" y="${y + 16}" text-anchor="end">${escapeHtml(truncate(item.label, 10))}</text>
+            <rect class="chart-bar chart-series-${index % 5}" x="${labelWidth}" y="${y + 4}" width="${barWidth.toFixed(1)}" height="${rowHeight - 8}" rx="3"><title>${escapeHtml(`${item.label}: ${item.value} (${percent}%)`)}</title></rect>
+            <text class="chart-label" x="${labelWidth + barWidth + 6}" y="${y + 16}">${item.value} (${percent}%)</text>
+        `;
+    }).join('');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" preserveAspectRatio="xMidYMid meet">
+            ${rows}
+        </svg>
+    `;
+}
+
+function formatTick(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
@@ -0,0 +1,127 @@
+/**
+ * CSVインポートユーティリティ
+ * 文字コード判定 (UTF-8 / Shift_JIS)、CSV解析、既知レイアウトの判定
+ */
+
+/**
+ * 既知のCSVレイアウト (templates/ のサンプルと同じ列構成)
+ * columns は判定に必須の列、備考など任意の列は含めない
+ */
+export const KNOWN_LAYOUTS = [
+    { id: 'kantanKaigo', label: 'かんたん介護', columns: ['日付', '利用者', 'サービス', 'スタッフ', '時間'] },
+    { id: 'nouby', label: 'ノウビー', columns: ['日付', '利用者', 'サービス', '実績', '請求'] },
+    { id: 'shift', label: 'シフト', columns: ['日付', 'スタッフ', 'シフト', '開始', '終了'] },
+];
+
+/**
+ * CSVファイルの中身を文字列に変換
+ * UTF-8として不正なバイト列があればShift_JISとして読み直す
+ * @param {ArrayBuffer} buffer - ファイルの中身
+ * @returns {{text: string, encoding: string}} - 変換結果と判定した文字コード
+ */
+export function decodeCsvBuffer(buffer) {
+    try {
+        const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return { text: text.replace(/^\uFEFF/, ''), encoding: 'UTF-8' };
+    } catch (error) {
+        const text = new TextDecoder('shift_jis').decode(buffer);
+        return { text, encoding: 'Shift_JIS' };
+    }
+}
+
+/**
+ * CSV文字列を2次元配列に変換
+ * ダブルクォートで囲まれたカンマ・改行・エスケープ ("") に対応
+ * @param {string} text - CSV文字列
+ * @returns {Array<Array<string>>} - 2次元配列（空行は除外）
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(cell => cell.trim()))
+        .filter(cells => cells.some(cell => cell !== ''));
+}
+
+/**
+ * ヘッダー行から既知のレイアウトを判定
+ * @param {Array<string>} header - ヘッダー行
+ * @returns {Object|null} - 一致したレイアウト（なければnull）
+ */
+export function detectLayout(header) {
+    const columns = new Set((header || []).map(cell => String(cell).trim()));
+    return KNOWN_LAYOUTS.find(layout => layout.columns.every(column => columns.has(column))) || null;
+}
+
+/**
+ * CSVファイルを読み込んでシートデータを作成
+ * @param {File} file - CSVファイル
+ * @param {string} layoutId - レイアウトID（'auto'で自動判定）
+ * @returns {Promise<Object>} - { title, layout, encoding, fileName, data }
+ */
+export async function readCsvFile(file, layoutId = 'auto') {
+    const { text, encoding } = decodeCsvBuffer(await file.arrayBuffer());
+    const data = parseCsv(text);
+
+    if (data.length < 2) {
+        throw new Error(`${file.name}: データ行がありません`);
+    }
+
+    const layout = layoutId === 'auto'
+        ? detectLayout(data[0])
+        : KNOWN_LAYOUTS.find(known => known.id === layoutId) || null;
+
+    // レイアウトを指定した場合は必須列がそろっているか確認
+    if (layout && layoutId !== 'auto') {
+        const missing = layout.columns.filter(column => !data[0].includes(column));
+        if (missing.length > 0) {
+            throw new Error(`${file.name}: ${layout.label}の列が見つかりません (${missing.join(', ')})`);
+        }
+    }
+
+    return {
+        title: layout ? layout.label : file.name.replace(/\.csv$/i, ''),
+        layout: layout ? layout.id : null,
+        encoding,
+        fileName: file.name,
+        data,
+    };
+}
@@ -1,54 +1,80 @@
 /**
  * データ処理ユーティリティ
- * フィルター、ソート、検索、統計計算
+ * フィルター、ソート、検索、統計計算、サービス時間の計算
  */
 
+import {
+    COLUMN_TYPES,
+    getSchema,
+    findColumnByType,
+    isBlank,
+    parseDate,
+    parseTime,
+    parseTimeRange,
+    toDateKey,
+    toComparable,
+    matchesValue,
+} from './schema.js';
+import { applyExpression } from './filterExpression.js';
+import { searchIndex } from './searchIndex.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const STAFF_FIELD = 'スタッフ';
+const RESIDENT_FIELD = '利用者';
+
 /**
  * データをフィルター
+ * 列の型に応じて比較する（日付は同じ日、選択肢は完全一致、テキストは部分一致）
+ * filters にフィルター式（{ groups }、filterExpression.js を参照）を渡すと演算子・ORグループで絞り込む
  * @param {Array} data - フィルター対象データ
- * @param {Object} filters - フィルター条件
+ * @param {Object} filters - フィルター条件（列名をキーとした値、またはフィルター式）
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
  * @returns {Array} - フィルター後のデータ
  */
-export function filterData(data, filters) {
+export function filterData(data, filters, schema = getSchema(data)) {
     if (!data || data.length === 0) return [];
     if (!filters || Object.keys(filters).length === 0) return data;
 
+    if (Array.isArray(filters.groups)) {
+        return applyExpression(data, filters, schema);
+    }
+
     return data.filter(item => {
         return Object.entries(filters).every(([key, value]) => {
             if (!value) return true; // フィルター条件が空の場合はスキップ
 
-            const itemValue = String(item[key] || '').toLowerCase();
-            const filterValue = String(value).toLowerCase();
-
-            return itemValue.includes(filterValue);
+            return matchesValue(item[key], value, schema[key]);
         });
     });
 }
 
 /**
  * データをソート
+ * 列の型に応じて比較し、未入力の行は常に末尾に並べる
  * @param {Array} data - ソート対象データ
  * @param {string} key - ソートキー
  * @param {string} direction - ソート方向 ('asc' or 'desc')
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
  * @returns {Array} - ソート後のデータ
  */
-export function sortData(data, key, direction = 'asc') {
+export function sortData(data, key, direction = 'asc', schema = getSchema(data)) {
     if (!data || data.length === 0) return [];
     if (!key) return data;
 
+    const column = schema[key];
+
     const sorted = [...data].sort((a, b) => {
-        const aValue = a[key] || '';
-        const bValue = b[key] || '';
-
-        // 数値の場合
-        if (!isNaN(aValue) && !isNaN(bValue)) {
-            return direction === 'asc'
-                ? Number(aValue) - Number(bValue)
-                : Number(bValue) - Number(aValue);
+        const aValue = toComparable(a[key], column);
+        const bValue = toComparable(b[key], column);
+
+        if (aValue === null || bValue === null) {
+            return (aValue === null) - (bValue === null);
         }
 
-        // 文字列の場合
-        const comparison = String(aValue).localeCompare(String(bValue), 'ja');
+        // 数値（日付・時刻を含む）の場合
+        const comparison = typeof aValue === 'number' && typeof bValue === 'number'
+            ? aValue - bValue
+            : String(aValue).localeCompare(String(bValue), 'ja');
         return direction === 'asc' ? comparison : -comparison;
     });
 
@@ -57,6 +83,8 @@ export function sortData(data, key, direction = 'asc') {
 
 /**
  * データを検索
+ * 全角・半角、ひらがな・カタカナ、空白、日付の書き方の違いを吸収する（searchIndex.js を参照）
+ * 空白区切りの複数の語、「列名:値」の指定に対応
  * @param {Array} data - 検索対象データ
  * @param {string} query - 検索クエリ
  * @returns {Array} - 検索結果
@@ -65,21 +93,16 @@ export function searchData(data, query) {
     if (!data || data.length === 0) return [];
     if (!query || query.trim() === '') return data;
 
-    const searchTerm = query.toLowerCase().trim();
-
-    return data.filter(item => {
-        return Object.values(item).some(value => {
-            return String(value).toLowerCase().includes(searchTerm);
-        });
-    });
+    return searchIndex(data, query);
 }
 
 /**
  * データ統計を計算
  * @param {Array} data - 統計対象データ
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
  * @returns {Object} - 統計情報
  */
-export function calculateStats(data) {
+export function calculateStats(data, schema = getSchema(data)) {
     if (!data || data.length === 0) {
         return {
             total: 0,
@@ -98,10 +121,7 @@ export function calculateStats(data) {
     const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
 
     // 日付フィールドを探す
-    const dateFields = ['日付', 'date', '日時', 'datetime', '作成日'];
-    const dateField = Object.keys(data[0] || {}).find(key =>
-        dateFields.some(field => key.toLowerCase().includes(field.toLowerCase()))
-    );
+    const dateField = findDateField(data, schema);
 
     let todayCount = 0;
     let weekCount = 0;
@@ -109,8 +129,8 @@ export function calculateStats(data) {
 
     if (dateField) {
         data.forEach(item => {
-            const itemDate = new Date(item[dateField]);
-            if (isNaN(itemDate.getTime())) return;
+            const itemDate = parseDate(item[dateField]);
+            if (!itemDate) return;
 
             if (itemDate >= today) todayCount++;
             if (itemDate >= weekStart) weekCount++;
@@ -126,6 +146,214 @@ export function calculateStats(data) {
     };
 }
 
+/**
+ * 集計方法
+ */
+export const AGGREGATE_FUNCTIONS = {
+    count: '件数',
+    sum: '合計',
+    hours: '時間',
+};
+
+/**
+ * 列の値ごとに件数・合計を集計
+ * 日付の列は日単位でまとめ、未入力は「（未入力）」としてまとめる
+ * @param {Array} data - 集計対象データ
+ * @param {Object} definition - { groupBy: 集計する列, fn: 'count' | 'sum' | 'hours', field: 合計する列 }
+ * 'hours' は時間帯・開始/終了の列から求めたサービス時間（時間数）を合計する
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {Array<{key: string, value: number}>} - 値の大きい順
+ */
+export function aggregateData(data, definition, schema = getSchema(data)) {
+    if (!data || data.length === 0 || !definition?.groupBy) return [];
+
+    const { groupBy, fn = 'count', field } = definition;
+    const groupColumn = schema[groupBy];
+    const isDateGroup = groupColumn?.type === COLUMN_TYPES.DATE || groupColumn?.type === COLUMN_TYPES.DATETIME;
+    const durationFields = fn === 'hours' ? findDurationFields(data, schema) : null;
+    const groups = new Map();
+
+    data.forEach(item => {
+        const raw = item[groupBy];
+        let key = isBlank(raw) ? '（未入力）' : String(raw).trim();
+        if (isDateGroup) {
+            const date = parseDate(raw);
+            if (date) key = toDateKey(date);
+        }
+
+        let amount = 1;
+        if (fn === 'sum') {
+            amount = toComparable(item[field], { type: COLUMN_TYPES.NUMBER });
+            if (typeof amount !== 'number') return;
+        } else if (fn === 'hours') {
+            const duration = getRowDuration(item, durationFields);
+            if (!duration) return;
+            amount = duration.minutes / 60;
+        }
+
+        groups.set(key, (groups.get(key) || 0) + amount);
+    });
+
+    return [...groups.entries()]
+        .map(([key, value]) => ({ key, value }))
+        .sort((a, b) => b.value - a.value || a.key.localeCompare(b.key, 'ja'));
+}
+
+/**
+ * 開始・終了時刻から時間の長さを計算
+ * 終了が開始より前の場合は日付をまたぐ勤務（22:00〜翌7:00）として扱う
+ * @param {*} start - 開始時刻（H:mm または分数）
+ * @param {*} end - 終了時刻（H:mm または分数）
+ * @returns {number|null} - 分数（未入力・変換できない場合はnull）
+ */
+export function calculateDuration(start, end) {
+    const startMinutes = typeof start === 'number' ? start : parseTime(start);
+    const endMinutes = typeof end === 'number' ? end : parseTime(end);
+    if (startMinutes === null || endMinutes === null) return null;
+
+    const diff = endMinutes - startMinutes;
+    return diff < 0 ? diff + MINUTES_PER_DAY : diff;
+}
+
+/**
+ * 時間の長さを求める列を探す
+ * 時間帯の列（10:00-11:00）を優先し、なければ「開始」「終了」の列
+ * @param {Array} data - 対象データ
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {Object|null} - { range } または { start, end }（見つからない場合はnull）
+ */
+export function findDurationFields(data, schema = getSchema(data)) {
+    const range = findColumnByType(schema, [COLUMN_TYPES.TIME_RANGE]);
+    if (range) return { range };
+
+    const fields = Object.keys(data?.[0] || schema || {});
+    const start = fields.find(field => field.includes('開始'));
+    const end = fields.find(field => field.includes('終了'));
+    return start && end ? { start, end } : null;
+}
+
+/**
+ * 行の時間の長さを取得
+ * @param {Object} item - 行データ
+ * @param {Object} fields - findDurationFields() の結果
+ * @returns {{start: number, end: number, minutes: number}|null} - 開始・終了の分数と長さ（「-」などの未入力はnull）
+ */
+export function getRowDuration(item, fields) {
+    if (!fields) return null;
+
+    let start;
+    let end;
+    if (fields.range) {
+        const range = parseTimeRange(item[fields.range]);
+        if (!range) return null;
+        ({ start, end } = range);
+    } else {
+        start = parseTime(item[fields.start]);
+        end = parseTime(item[fields.end]);
+    }
+
+    const minutes = calculateDuration(start, end);
+    return minutes === null ? null : { start, end, minutes };
+}
+
+/**
+ * 週の初日（日曜日）の日付キーを取得
+ * @param {Date} date - 日付
+ * @returns {string} - 日付キー (YYYY-MM-DD)
+ */
+export function getWeekStartKey(date) {
+    const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+    return toDateKey(weekStart);
+}
+
+/**
+ * スタッフ別・利用者別・日別の時間数を集計
+ * @param {Array} data - 対象データ
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {Object} - { totalHours, byStaff, byResident, byDay }（各要素は { key, hours, count } の配列）
+ */
+export function summarizeHours(data, schema = getSchema(data)) {
+    const result = { totalHours: 0, byStaff: [], byResident: [], byDay: [] };
+    const durationFields = findDurationFields(data, schema);
+    if (!data || data.length === 0 || !durationFields) return result;
+
+    const dateField = findDateField(data, schema);
+    const groups = { byStaff: new Map(), byResident: new Map(), byDay: new Map() };
+    const add = (map, key, hours) => {
+        if (isBlank(key)) return;
+        const entry = map.get(key) || { key, hours: 0, count: 0 };
+        entry.hours += hours;
+        entry.count++;
+        map.set(key, entry);
+    };
+
+    data.forEach(item => {
+        const duration = getRowDuration(item, durationFields);
+        if (!duration) return;
+
+        const hours = duration.minutes / 60;
+        const date = dateField ? parseDate(item[dateField]) : null;
+        result.totalHours += hours;
+        add(groups.byStaff, String(item[STAFF_FIELD] ?? '').trim(), hours);
+        add(groups.byResident, String(item[RESIDENT_FIELD] ?? '').trim(), hours);
+        add(groups.byDay, date ? toDateKey(date) : '', hours);
+    });
+
+    result.byStaff = [...groups.byStaff.values()].sort((a, b) => b.hours - a.hours);
+    result.byResident = [...groups.byResident.values()].sort((a, b) => b.hours - a.hours);
+    result.byDay = [...groups.byDay.values()].sort((a, b) => a.key.localeCompare(b.key));
+    return result;
+}
+
+/**
+ * 週の勤務時間が上限を超えるスタッフを探す
+ * @param {Array} data - 対象データ（シフト表または訪問記録）
+ * @param {number} weeklyLimit - 週の上限時間
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {Array<{staff: string, weekStart: string, hours: number}>} - 上限を超えた週
+ */
+export function findOvertimeStaff(data, weeklyLimit, schema = getSchema(data)) {
+    const durationFields = findDurationFields(data, schema);
+    const dateField = findDateField(data, schema);
+    if (!data || !durationFields || !dateField) return [];
+
+    const weeks = new Map();
+    data.forEach(item => {
+        const staff = String(item[STAFF_FIELD] ?? '').trim();
+        const date = parseDate(item[dateField]);
+        const duration = getRowDuration(item, durationFields);
+        if (isBlank(staff) || !date || !duration) return;
+
+        const weekStart = getWeekStartKey(date);
+        const key = `${staff}\u0000${weekStart}`;
+        const entry = weeks.get(key) || { staff, weekStart, hours: 0 };
+        entry.hours += duration.minutes / 60;
+        weeks.set(key, entry);
+    });
+
+    return [...weeks.values()]
+        .filter(entry => entry.hours > weeklyLimit)
+        .sort((a, b) => b.hours - a.hours);
+}
+
+/**
+ * 日付フィールドを探す
+ * スキーマで日付と推定された列を優先し、なければ列名から探す
+ * @param {Array} data - 対象データ
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {string|undefined} - 日付フィールド名
+ */
+export function findDateField(data, schema = getSchema(data)) {
+    const typedField = findColumnByType(schema, [COLUMN_TYPES.DATE, COLUMN_TYPES.DATETIME]);
+    if (typedField) return typedField;
+
+    const dateFields = ['日付', 'date', '日時', 'datetime', '作成日'];
+    return Object.keys(data?.[0] || {}).find(key =>
+        dateFields.some(field => key.toLowerCase().includes(field.toLowerCase()))
+    );
+}
+
 /**
  * データを検証
  * @param {Array} data - 検証対象データ
@@ -0,0 +1,143 @@
+/**
+ * データ品質チェック
+ * validateData() の検証に加えて、読めない日付・時間帯、必須列の未入力、想定外の選択肢を行番号付きで探す
+ */
+
+import { validateData, findDateField } from './dataProcessor.js';
+import { COLUMN_TYPES, getSchema, isBlank, parseDate, parseTime, parseTimeRange } from './schema.js';
+
+// 空にできない列（シートにある場合のみ）
+const REQUIRED_COLUMNS = ['日付', '利用者'];
+
+export const ISSUE_TYPES = {
+    INVALID_DATE: 'invalidDate',
+    INVALID_TIME: 'invalidTime',
+    INVALID_TIME_RANGE: 'invalidTimeRange',
+    MISSING_REQUIRED: 'missingRequired',
+    UNKNOWN_VALUE: 'unknownValue',
+};
+
+export const ISSUE_LABELS = {
+    [ISSUE_TYPES.INVALID_DATE]: '日付',
+    [ISSUE_TYPES.INVALID_TIME]: '時刻',
+    [ISSUE_TYPES.INVALID_TIME_RANGE]: '時間帯',
+    [ISSUE_TYPES.MISSING_REQUIRED]: '未入力',
+    [ISSUE_TYPES.UNKNOWN_VALUE]: '選択肢',
+};
+
+const qualityCache = new WeakMap();
+
+/**
+ * シートのデータ品質をチェック
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {Object} - { errors, warnings, notices, issues, counts }
+ *   errors / warnings: validateData() のシート全体の結果
+ *   notices: 問題として数えないお知らせ（空のシートの「データが空です」）
+ *   issues: { rowNumber, column, type, value, message, item } の配列（行番号はシートの行、1行目は見出し）
+ *   counts: 種類ごとの件数
+ */
+export function checkDataQuality(data, schema = getSchema(data)) {
+    const validation = validateData(data);
+    const issues = [];
+    const counts = Object.fromEntries(Object.values(ISSUE_TYPES).map(type => [type, 0]));
+    // 見出しだけ・空のシートはデータの問題ではないので、件数に含めないお知らせにする
+    const isEmpty = validation.valid && data.length === 0;
+    const result = {
+        errors: validation.errors,
+        warnings: isEmpty ? [] : validation.warnings,
+        notices: isEmpty ? validation.warnings : [],
+        issues,
+        counts,
+    };
+    if (!validation.valid || data.length === 0) return result;
+
+    const columns = Object.keys(data[0]);
+    const dateField = findDateField(data, schema);
+    const checks = columns.map(column => ({ column, check: createCheck(column, schema[column], column === dateField) }))
+        .filter(({ check }) => check);
+
+    data.forEach((item, index) => {
+        checks.forEach(({ column, check }) => {
+            const issue = check(item[column]);
+            if (!issue) return;
+
+            counts[issue.type]++;
+            issues.push({ rowNumber: index + 2, column, value: item[column], item, ...issue });
+        });
+    });
+
+    // フィールド数が一致しない行（validateData() は件数のみ）
+    if (validation.warnings.some(warning => warning.includes('フィールド数'))) {
+        data.forEach((item, index) => {
+            if (Object.keys(item).length !== columns.length) {
+                validation.warnings.push(`${index + 2}行目のフィールド数が見出しと一致しません`);
+            }
+        });
+    }
+
+    return result;
+}
+
+/**
+ * 列の型に応じたチェック関数を作成
+ * @returns {Function|null} - 値を受け取り { type, message } または null を返す
+ */
+function createCheck(column, columnSchema, isDateField) {
+    const required = REQUIRED_COLUMNS.includes(column);
+    const type = columnSchema?.type;
+    const isDate = isDateField || type === COLUMN_TYPES.DATE || type === COLUMN_TYPES.DATETIME;
+
+    let checkValue = null;
+    if (isDate) {
+        checkValue = value => parseDate(value) ? null : {
+            type: ISSUE_TYPES.INVALID_DATE,
+            message: `「${value}」を日付として読めません`,
+        };
+    } else if (type === COLUMN_TYPES.TIME_RANGE) {
+        checkValue = value => parseTimeRange(value) ? null : {
+            type: ISSUE_TYPES.INVALID_TIME_RANGE,
+            message: `「${value}」を時間帯（10:00-11:00）として読めません`,
+        };
+    } else if (type === COLUMN_TYPES.TIME) {
+        checkValue = value => parseTime(value) !== null ? null : {
+            type: ISSUE_TYPES.INVALID_TIME,
+            message: `「${value}」を時刻（10:00）として読めません`,
+        };
+    } else if (type === COLUMN_TYPES.ENUM && columnSchema.known) {
+        checkValue = value => columnSchema.known.includes(String(value).trim()) ? null : {
+            type: ISSUE_TYPES.UNKNOWN_VALUE,
+            message: `「${value}」は想定外の値です（${columnSchema.known.join('・')}）`,
+        };
+    }
+
+    if (!checkValue && !required) return null;
+
+    return (value) => {
+        if (isBlank(value)) {
+            return required ? { type: ISSUE_TYPES.MISSING_REQUIRED, message: `${column}が入力されていません` } : null;
+        }
+        return checkValue ? checkValue(value) : null;
+    };
+}
+
+/**
+ * シートのデータ品質を取得（同じ配列はチェック結果を再利用）
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @returns {Object} - checkDataQuality() の結果
+ */
+export function getDataQuality(data) {
+    if (!qualityCache.has(data)) {
+        qualityCache.set(data, checkDataQuality(data));
+    }
+    return qualityCache.get(data);
+}
+
+/**
+ * 問題の件数（行ごとの問題とシート全体のエラー・警告の合計。notices は含めない）
+ * @param {Object} quality - checkDataQuality() の結果
+ * @returns {number}
+ */
+export function countIssues(quality) {
+    return quality.issues.length + quality.errors.length + quality.warnings.length;
+}
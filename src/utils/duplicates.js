@@ -0,0 +1,72 @@
+/**
+ * 重複検出
+ * CSVの再取り込みなどで同じ記録が2回入った行を、キーの列（既定は 日付・利用者・サービス・時間）でまとめる
+ * 表記の違い（全角・半角、空白、日付の書き方）は同じ値として扱う
+ */
+
+import { COLUMN_TYPES, getSchema, isBlank, parseDate, toDateKey } from './schema.js';
+import { normalizeText } from './searchIndex.js';
+
+export const DEFAULT_DUPLICATE_KEY = ['日付', '利用者', 'サービス', '時間'];
+
+const duplicateCache = new WeakMap();
+
+function toKeyValue(value, column) {
+    if (isBlank(value)) return '';
+    if (column?.type === COLUMN_TYPES.DATE || column?.type === COLUMN_TYPES.DATETIME) {
+        const date = parseDate(value);
+        if (date) return toDateKey(date);
+    }
+    return normalizeText(value);
+}
+
+/**
+ * 重複した行をまとめる
+ * キーの列がシートにない場合は、ある列だけで判定する（1列もなければ判定しない）
+ * キーの列がすべて空の行は対象外
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @param {Array<string>} keyColumns - 重複判定に使う列
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {Object} - { columns, groups: [{ key, rows: [{ rowNumber, item }] }], byItem: Map(行 → グループ) }
+ */
+export function findDuplicates(data, keyColumns = DEFAULT_DUPLICATE_KEY, schema = getSchema(data)) {
+    const available = data && data.length > 0 ? Object.keys(data[0]) : [];
+    const columns = keyColumns.filter(column => available.includes(column));
+    const result = { columns, groups: [], byItem: new Map() };
+    if (columns.length === 0) return result;
+
+    const groups = new Map();
+    data.forEach((item, index) => {
+        const values = columns.map(column => toKeyValue(item[column], schema[column]));
+        if (values.every(value => value === '')) return;
+
+        const key = values.join('\u0001');
+        if (!groups.has(key)) groups.set(key, { key, rows: [] });
+        groups.get(key).rows.push({ rowNumber: index + 2, item }); // シートの行番号（1行目は見出し）
+    });
+
+    groups.forEach(group => {
+        if (group.rows.length < 2) return;
+        result.groups.push(group);
+        group.rows.forEach(row => result.byItem.set(row.item, group));
+    });
+
+    return result;
+}
+
+/**
+ * 重複した行を取得（同じ配列・同じキーは結果を再利用）
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @param {Array<string>} keyColumns - 重複判定に使う列
+ * @returns {Object} - findDuplicates() の結果
+ */
+export function getDuplicates(data, keyColumns = DEFAULT_DUPLICATE_KEY) {
+    if (!duplicateCache.has(data)) duplicateCache.set(data, new Map());
+
+    const cache = duplicateCache.get(data);
+    const cacheKey = keyColumns.join('\u0001');
+    if (!cache.has(cacheKey)) {
+        cache.set(cacheKey, findDuplicates(data, keyColumns));
+    }
+    return cache.get(cacheKey);
+}
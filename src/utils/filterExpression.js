@@ -0,0 +1,281 @@
+/**
+ * フィルター式
+ * 条件（列・演算子・値）をグループにまとめ、グループ内はAND、グループ同士はORで評価する
+ *
+ * 式の形式:
+ * {
+ *   groups: [
+ *     { conditions: [{ field: '日付', operator: 'between', value: '2/1', value2: '2/7' }] },
+ *     { conditions: [{ field: '請求', operator: 'equals', value: '未' }] },
+ *   ]
+ * }
+ *
+ * 日付の列では「今日」「今週」「先月」などの相対的な日付も使える（評価するたびにその時点の範囲になる）
+ */
+
+import { COLUMN_TYPES, isBlank, parseDateInput, parseTime, parseTimeRange, toDateKey } from './schema.js';
+
+// 大小比較ができる型
+const ORDERED_TYPES = [
+    COLUMN_TYPES.DATE,
+    COLUMN_TYPES.DATETIME,
+    COLUMN_TYPES.TIME,
+    COLUMN_TYPES.TIME_RANGE,
+    COLUMN_TYPES.NUMBER,
+];
+
+// 相対的な日付 → { from, to }
+const RELATIVE_DATES = {
+    '今日': () => dayRange(0),
+    '昨日': () => dayRange(-1),
+    '明日': () => dayRange(1),
+    '今週': () => weekRange(0),
+    '先週': () => weekRange(-1),
+    '来週': () => weekRange(1),
+    '今月': () => monthRange(0),
+    '先月': () => monthRange(-1),
+    '来月': () => monthRange(1),
+};
+
+function dayRange(offset) {
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() + offset);
+    return { from: day, to: day };
+}
+
+// 週は日曜始まり（calculateStats と同じ）
+function weekRange(offset) {
+    const from = dayRange(offset * 7).from;
+    from.setDate(from.getDate() - from.getDay());
+    const to = new Date(from);
+    to.setDate(from.getDate() + 6);
+    return { from, to };
+}
+
+function monthRange(offset) {
+    const today = new Date();
+    return {
+        from: new Date(today.getFullYear(), today.getMonth() + offset, 1),
+        to: new Date(today.getFullYear(), today.getMonth() + offset + 1, 0),
+    };
+}
+
+/**
+ * 演算子の定義
+ * arity: 'none'（値なし）/ 'single'（値1つ）/ 'range'（値2つ）/ 'list'（カンマ区切りの値）
+ */
+export const OPERATORS = {
+    contains: { label: 'を含む', arity: 'single' },
+    notContains: { label: 'を含まない', arity: 'single' },
+    equals: { label: '＝', arity: 'single' },
+    notEquals: { label: '≠', arity: 'single' },
+    gt: { label: '＞', arity: 'single', ordered: true },
+    gte: { label: '≧', arity: 'single', ordered: true },
+    lt: { label: '＜', arity: 'single', ordered: true },
+    lte: { label: '≦', arity: 'single', ordered: true },
+    between: { label: '範囲', arity: 'range', ordered: true },
+    in: { label: 'いずれか', arity: 'list' },
+    notIn: { label: 'いずれでもない', arity: 'list' },
+    empty: { label: '空', arity: 'none' },
+    notEmpty: { label: '空でない', arity: 'none' },
+};
+
+/**
+ * 列の型で使える演算子を取得
+ * @param {Object} column - 列スキーマ
+ * @returns {Array<string>} - 演算子名の配列
+ */
+export function getOperatorsForColumn(column) {
+    const ordered = ORDERED_TYPES.includes(column?.type);
+    return Object.keys(OPERATORS).filter(operator => ordered || !OPERATORS[operator].ordered);
+}
+
+/**
+ * 空のフィルター式を作成
+ * @returns {Object} - フィルター式
+ */
+export function createEmptyExpression() {
+    return { groups: [] };
+}
+
+/**
+ * 入力途中の条件（列や値が空）を除いたフィルター式を取得
+ * @param {Object} expression - フィルター式
+ * @returns {Object} - 有効な条件だけのフィルター式
+ */
+export function normalizeExpression(expression) {
+    const groups = (expression?.groups || [])
+        .map(group => ({ conditions: group.conditions.filter(isCompleteCondition) }))
+        .filter(group => group.conditions.length > 0);
+    return { groups };
+}
+
+/**
+ * 有効な条件の数を取得
+ * @param {Object} expression - フィルター式
+ * @returns {number} - 条件の数
+ */
+export function countConditions(expression) {
+    return normalizeExpression(expression).groups
+        .reduce((sum, group) => sum + group.conditions.length, 0);
+}
+
+function isCompleteCondition(condition) {
+    const definition = OPERATORS[condition.operator];
+    if (!condition.field || !definition) return false;
+
+    switch (definition.arity) {
+        case 'none':
+            return true;
+        case 'range':
+            // 片方だけの範囲は「以上」「以下」として扱う
+            return !isBlank(condition.value) || !isBlank(condition.value2);
+        case 'list':
+            return splitList(condition.value).length > 0;
+        default:
+            return !isBlank(condition.value);
+    }
+}
+
+/**
+ * カンマ・読点区切りの値を配列にする
+ * @param {string} value - 入力値
+ * @returns {Array<string>} - 値の配列
+ */
+export function splitList(value) {
+    return String(value ?? '')
+        .split(/[,、，]/)
+        .map(item => item.trim())
+        .filter(item => item !== '');
+}
+
+/**
+ * 型に応じた比較用の値に変換
+ * 日付は日単位（YYYY-MM-DD）、時刻・時間帯は分数、数値は数値、それ以外は小文字の文字列
+ * @param {*} value - セルの値または条件の値
+ * @param {Object} column - 列スキーマ
+ * @returns {string|number|null} - 比較用の値（変換できない場合はnull）
+ */
+function toConditionValue(value, column) {
+    if (isBlank(value)) return null;
+
+    switch (column?.type) {
+        case COLUMN_TYPES.DATE:
+        case COLUMN_TYPES.DATETIME: {
+            const date = parseDateInput(String(value).trim().split(/\s+/)[0]);
+            return date ? toDateKey(date) : null;
+        }
+        case COLUMN_TYPES.TIME:
+            return parseTime(value);
+        case COLUMN_TYPES.TIME_RANGE:
+            return parseTimeRange(value)?.start ?? parseTime(value);
+        case COLUMN_TYPES.NUMBER: {
+            const number = Number(String(value).trim().replace(/,/g, ''));
+            return Number.isFinite(number) ? number : null;
+        }
+        default:
+            return String(value).trim().toLowerCase();
+    }
+}
+
+/**
+ * 条件の値を比較用の範囲に変換
+ * 日付の列で「今週」などを指定した場合は期間の初日と最終日、それ以外は同じ値
+ * @param {*} value - 条件の値
+ * @param {Object} column - 列スキーマ
+ * @returns {{from: *, to: *}|null} - 範囲（変換できない場合はnull）
+ */
+function toConditionBounds(value, column) {
+    const isDateColumn = column?.type === COLUMN_TYPES.DATE || column?.type === COLUMN_TYPES.DATETIME;
+    const relative = isDateColumn ? RELATIVE_DATES[String(value ?? '').trim()] : null;
+    if (relative) {
+        const { from, to } = relative();
+        return { from: toDateKey(from), to: toDateKey(to) };
+    }
+
+    const converted = toConditionValue(value, column);
+    return converted === null ? null : { from: converted, to: converted };
+}
+
+function isEqual(cellValue, conditionValue, column) {
+    const a = toConditionValue(cellValue, column);
+    const bounds = toConditionBounds(conditionValue, column);
+    if (a !== null && bounds) return a >= bounds.from && a <= bounds.to;
+    return String(cellValue ?? '').trim().toLowerCase() === String(conditionValue).trim().toLowerCase();
+}
+
+/**
+ * 1つの条件を評価
+ * @param {Object} item - 行データ
+ * @param {Object} condition - { field, operator, value, value2 }
+ * @param {Object} schema - 列スキーマ
+ * @returns {boolean}
+ */
+export function evaluateCondition(item, condition, schema = {}) {
+    const column = schema[condition.field];
+    const cellValue = item[condition.field];
+    const text = String(cellValue ?? '').toLowerCase();
+    const target = String(condition.value ?? '').trim().toLowerCase();
+
+    switch (condition.operator) {
+        case 'contains':
+            return text.includes(target);
+        case 'notContains':
+            return !text.includes(target);
+        case 'equals':
+            return isEqual(cellValue, condition.value, column);
+        case 'notEquals':
+            return !isEqual(cellValue, condition.value, column);
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte': {
+            const a = toConditionValue(cellValue, column);
+            const bounds = toConditionBounds(condition.value, column);
+            if (a === null || !bounds) return false;
+            return {
+                gt: a > bounds.to,
+                gte: a >= bounds.from,
+                lt: a < bounds.from,
+                lte: a <= bounds.to,
+            }[condition.operator];
+        }
+        case 'between': {
+            // 両端を含む。片方が空ならその側は制限しない
+            const a = toConditionValue(cellValue, column);
+            const lower = isBlank(condition.value) ? null : toConditionBounds(condition.value, column);
+            const upper = isBlank(condition.value2) ? null : toConditionBounds(condition.value2, column);
+            if (a === null) return false;
+            if (!isBlank(condition.value) && !lower) return false;
+            if (!isBlank(condition.value2) && !upper) return false;
+            return (!lower || a >= lower.from) && (!upper || a <= upper.to);
+        }
+        case 'in':
+            return splitList(condition.value).some(value => isEqual(cellValue, value, column));
+        case 'notIn':
+            return !splitList(condition.value).some(value => isEqual(cellValue, value, column));
+        case 'empty':
+            return isBlank(cellValue);
+        case 'notEmpty':
+            return !isBlank(cellValue);
+        default:
+            return true;
+    }
+}
+
+/**
+ * フィルター式でデータを絞り込む
+ * @param {Array<Object>} data - 対象データ
+ * @param {Object} expression - フィルター式
+ * @param {Object} schema - 列スキーマ
+ * @returns {Array<Object>} - 条件に一致する行
+ */
+export function applyExpression(data, expression, schema = {}) {
+    const { groups } = normalizeExpression(expression);
+    if (groups.length === 0) return data;
+
+    return data.filter(item => groups.some(group =>
+        group.conditions.every(condition => evaluateCondition(item, condition, schema))
+    ));
+}
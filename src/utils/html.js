@@ -0,0 +1,21 @@
+/**
+ * HTML関連ユーティリティ
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * HTMLエスケープ
+ * 引用符もエスケープするので、テキストにも属性値にも使える
+ * @param {*} text - エスケープする値
+ * @returns {string} - エスケープ済み文字列
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
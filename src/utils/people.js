@@ -0,0 +1,212 @@
+/**
+ * 人物別集計ユーティリティ
+ * 全シートから利用者・スタッフごとの行を集める
+ */
+
+import { findDateField, findDurationFields, getRowDuration, calculateDuration, getWeekStartKey } from './dataProcessor.js';
+import { parseDate, toDateKey } from './schema.js';
+import { memoToRow } from './timeline.js';
+
+export const RESIDENT_FIELD = '利用者';
+export const STAFF_FIELD = 'スタッフ';
+const DAY_OFF = '休み';
+
+/**
+ * 名前を比較用に正規化（空白の有無を無視）
+ * @param {*} name - 名前
+ * @returns {string} - 正規化済みの名前
+ */
+export function normalizeName(name) {
+    return String(name ?? '').replace(/[\s　]+/g, '');
+}
+
+/**
+ * 指定した列に登場する人物の一覧を取得
+ * @param {Object} sheetsData - シート名をキーとしたデータオブジェクト
+ * @param {string} field - 人物名の列 (例: '利用者')
+ * @returns {Array<{name: string, count: number, sheets: Array<string>}>} - 名前順の人物一覧
+ */
+export function collectPeople(sheetsData, field) {
+    const people = new Map();
+
+    Object.entries(sheetsData || {}).forEach(([sheetName, rows]) => {
+        rows.forEach(item => {
+            const key = normalizeName(item[field]);
+            if (!key || key === '-') return;
+
+            if (!people.has(key)) {
+                people.set(key, { name: String(item[field]).trim(), count: 0, sheets: new Set() });
+            }
+            const person = people.get(key);
+            person.count++;
+            person.sheets.add(sheetName);
+        });
+    });
+
+    return Array.from(people.values())
+        .map(person => ({ ...person, sheets: Array.from(person.sheets) }))
+        .sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+}
+
+/**
+ * 指定した人物の行を全シートから集める
+ * @param {Object} sheetsData - シート名をキーとしたデータオブジェクト
+ * @param {string} field - 人物名の列
+ * @param {string} name - 人物名
+ * @returns {Array<{source: string, item: Object, date: Date|null}>} - 日付の古い順の行
+ */
+export function findRowsByPerson(sheetsData, field, name) {
+    const target = normalizeName(name);
+    const results = [];
+
+    Object.entries(sheetsData || {}).forEach(([sheetName, rows]) => {
+        const dateField = findDateField(rows);
+
+        rows.forEach(item => {
+            if (normalizeName(item[field]) !== target) return;
+            results.push({
+                source: sheetName,
+                item,
+                date: dateField ? parseDate(item[dateField]) : null,
+            });
+        });
+    });
+
+    return results.sort((a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0));
+}
+
+/**
+ * 利用者プロフィールを作成
+ * @param {Object} sheetsData - シート名をキーとしたデータオブジェクト
+ * @param {string} name - 利用者名
+ * @param {Array} memos - ローカルメモの配列
+ * @returns {Object} - { name, upcoming, past, billing, serviceHours, memos }
+ */
+export function buildResidentProfile(sheetsData, name, memos = []) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const target = normalizeName(name);
+    const serviceRows = findRowsByPerson(sheetsData, RESIDENT_FIELD, name);
+
+    const upcoming = serviceRows.filter(row => row.date && row.date >= today);
+    const past = serviceRows.filter(row => !row.date || row.date < today).reverse();
+
+    // 請求状況（請求列を持つ行のみ）
+    const billingRows = serviceRows.filter(row => row.item['請求'] !== undefined);
+    const billing = {
+        billed: billingRows.filter(row => String(row.item['請求']).trim() === '済').length,
+        unbilled: billingRows.filter(row => String(row.item['請求']).trim() === '未'),
+        total: billingRows.length,
+    };
+
+    // サービス時間（時間帯の列を持つ行のみ）
+    const serviceHours = serviceRows.reduce((sum, row) => {
+        const duration = getRowDuration(row.item, findDurationFields(sheetsData[row.source]));
+        return sum + (duration ? duration.minutes / 60 : 0);
+    }, 0);
+
+    // 名前を含むメモ（ローカルメモとメモシートの行）
+    const linkedMemos = [
+        ...memos
+            .filter(memo => normalizeName(memo.text).includes(target))
+            .map(memo => ({ source: '手書きメモ', item: memoToRow(memo), date: new Date(memo.createdAt) })),
+        ...Object.entries(sheetsData || {}).flatMap(([sheetName, sheetRows]) => sheetRows
+            .filter(item => isMemoRow(item) && normalizeName(item['テキスト内容']).includes(target))
+            .map(item => ({ source: sheetName, item, date: parseDate(item['作成日時']) }))),
+    ].sort((a, b) => (b.date?.getTime() ?? 0) - (a.date?.getTime() ?? 0));
+
+    return {
+        name: serviceRows[0] ? String(serviceRows[0].item[RESIDENT_FIELD]).trim() : name,
+        upcoming,
+        past,
+        billing,
+        serviceHours,
+        memos: linkedMemos,
+    };
+}
+
+/**
+ * スタッフ別の勤務状況を作成
+ * シフト表の行と、同じ日の訪問記録を日ごとにまとめる
+ * 日の時間数はシフトがあればシフトの時間、なければ訪問の時間（重複して数えない）
+ * @param {Object} sheetsData - シート名をキーとしたデータオブジェクト
+ * @param {string} name - スタッフ名
+ * @param {number} weeklyLimit - 週の上限時間（超えた週に over を付ける）
+ * @returns {Object} - { name, days, weeks, totalHours, shiftCount, visitCount, daysOff }
+ */
+export function buildStaffProfile(sheetsData, name, weeklyLimit = Infinity) {
+    const rows = findRowsByPerson(sheetsData, STAFF_FIELD, name);
+    const days = new Map();
+    const durationFields = new Map(Object.entries(sheetsData || {})
+        .map(([sheetName, sheetRows]) => [sheetName, findDurationFields(sheetRows)]));
+
+    const getDay = (row) => {
+        const key = row.date ? toDateKey(row.date) : '日付なし';
+        if (!days.has(key)) {
+            days.set(key, { date: key, shifts: [], visits: [], hours: 0, visitHours: 0, dayOff: false });
+        }
+        return days.get(key);
+    };
+
+    rows.forEach(row => {
+        const day = getDay(row);
+
+        if (isShiftRow(row.item)) {
+            const isDayOff = String(row.item['シフト'] ?? '').trim() === DAY_OFF;
+            const hours = isDayOff ? 0 : (calculateDuration(row.item['開始'], row.item['終了']) ?? 0) / 60;
+            day.shifts.push({ ...row, hours, dayOff: isDayOff });
+            day.hours += hours;
+            if (isDayOff) day.dayOff = true;
+        } else {
+            const duration = getRowDuration(row.item, durationFields.get(row.source));
+            day.visits.push({ ...row, hours: duration ? duration.minutes / 60 : 0 });
+            day.visitHours += duration ? duration.minutes / 60 : 0;
+        }
+    });
+
+    days.forEach(day => {
+        if (day.shifts.length === 0) day.hours = day.visitHours;
+    });
+
+    const dayList = Array.from(days.values()).sort((a, b) => b.date.localeCompare(a.date));
+
+    // 週（日曜始まり）ごとの時間数
+    const weeks = new Map();
+    dayList.forEach(day => {
+        const date = parseDate(day.date);
+        if (!date || day.hours === 0) return;
+        const weekStart = getWeekStartKey(date);
+        weeks.set(weekStart, (weeks.get(weekStart) || 0) + day.hours);
+    });
+
+    return {
+        name: rows[0] ? String(rows[0].item[STAFF_FIELD]).trim() : name,
+        days: dayList,
+        weeks: Array.from(weeks.entries())
+            .map(([weekStart, hours]) => ({ weekStart, hours, over: hours > weeklyLimit }))
+            .sort((a, b) => b.weekStart.localeCompare(a.weekStart)),
+        totalHours: dayList.reduce((sum, day) => sum + day.hours, 0),
+        shiftCount: dayList.reduce((sum, day) => sum + day.shifts.filter(shift => !shift.dayOff).length, 0),
+        visitCount: dayList.reduce((sum, day) => sum + day.visits.length, 0),
+        daysOff: dayList.filter(day => day.dayOff).map(day => day.date),
+    };
+}
+
+/**
+ * シフト表の行かどうか
+ * @param {Object} item - 行データ
+ * @returns {boolean}
+ */
+export function isShiftRow(item) {
+    return '開始' in item && '終了' in item;
+}
+
+/**
+ * メモシートの行かどうか
+ * @param {Object} item - 行データ
+ * @returns {boolean}
+ */
+function isMemoRow(item) {
+    return 'テキスト内容' in item && '作成日時' in item;
+}
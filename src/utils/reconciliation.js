@@ -0,0 +1,153 @@
+/**
+ * シフト照合
+ * 訪問記録の行をシフト表の行と日付・スタッフ名で突き合わせ、
+ * 矛盾（休みの日の訪問・勤務時間外の訪問）、担当者のいない訪問、訪問のないシフトを探す
+ */
+
+import { findDateField, findDurationFields, getRowDuration } from './dataProcessor.js';
+import { isBlank, parseDate, toDateKey } from './schema.js';
+import { isShiftRow, normalizeName, RESIDENT_FIELD, STAFF_FIELD } from './people.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_OFF = '休み';
+
+export const CONFLICT_TYPES = {
+    DAY_OFF: 'dayOff',
+    OUTSIDE_SHIFT: 'outsideShift',
+};
+
+export const UNSTAFFED_REASONS = {
+    NO_STAFF: 'noStaff',
+    NO_SHIFT: 'noShift',
+};
+
+/**
+ * 日付の通し番号（日をまたぐ時間帯の比較に使う）
+ */
+function toDayNumber(date) {
+    return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000);
+}
+
+/**
+ * 行を日付の通し番号を基準にした絶対分数の区間に変換
+ * 時間がない行は null（その日のどの時間帯にも当てはまるものとして扱う）
+ */
+function toInterval(dayNumber, duration) {
+    if (!duration) return null;
+    const start = dayNumber * MINUTES_PER_DAY + duration.start;
+    return { start, end: start + duration.minutes };
+}
+
+function isWithin(visit, shift) {
+    if (!visit.interval || !shift.interval) return true;
+    return visit.interval.start >= shift.interval.start && visit.interval.end <= shift.interval.end;
+}
+
+/**
+ * 全シートから訪問記録とシフトの行を集める
+ */
+function collectRows(sheetsData) {
+    const visits = [];
+    const shifts = [];
+
+    Object.entries(sheetsData || {}).forEach(([source, rows]) => {
+        if (!rows || rows.length === 0) return;
+
+        const dateField = findDateField(rows);
+        const durationFields = findDurationFields(rows);
+        const isShiftSheet = isShiftRow(rows[0]);
+        const isVisitSheet = !isShiftSheet && RESIDENT_FIELD in rows[0] && STAFF_FIELD in rows[0];
+        if (!dateField || (!isShiftSheet && !isVisitSheet)) return;
+
+        rows.forEach((item, index) => {
+            const date = parseDate(item[dateField]);
+            if (!date) return;
+
+            const dayNumber = toDayNumber(date);
+            const row = {
+                source,
+                rowNumber: index + 2, // シートの行番号（1行目は見出し）
+                item,
+                date: toDateKey(date),
+                dayNumber,
+                staff: normalizeName(item[STAFF_FIELD]),
+                interval: toInterval(dayNumber, getRowDuration(item, durationFields)),
+            };
+
+            if (isShiftSheet) {
+                shifts.push({ ...row, dayOff: String(item['シフト'] ?? '').trim() === DAY_OFF, visits: 0 });
+            } else {
+                visits.push(row);
+            }
+        });
+    });
+
+    return { visits, shifts };
+}
+
+/**
+ * 訪問記録とシフト表を照合
+ * シフト表のない日付の訪問は照合しない（別の月のシフトしか読み込んでいない場合など）
+ * @param {Object} sheetsData - シート名をキーとしたデータオブジェクト
+ * @returns {Object} - { conflicts, unstaffed, idleShifts, checkedVisits, hasShifts }
+ *   conflicts: { type, visit, shift } / unstaffed: { reason, visit } / idleShifts: シフトの行
+ *   各行は { source, rowNumber, item, date, staff }
+ */
+export function reconcileShifts(sheetsData) {
+    const { visits, shifts } = collectRows(sheetsData);
+    const result = { conflicts: [], unstaffed: [], idleShifts: [], checkedVisits: 0, hasShifts: shifts.length > 0 };
+    if (shifts.length === 0) return result;
+
+    // スタッフ・日付ごとのシフト
+    const shiftsByKey = new Map();
+    const shiftDays = new Set();
+    shifts.forEach(shift => {
+        shiftDays.add(shift.dayNumber);
+        if (!shift.staff) return;
+        const key = `${shift.staff}\u0000${shift.dayNumber}`;
+        if (!shiftsByKey.has(key)) shiftsByKey.set(key, []);
+        shiftsByKey.get(key).push(shift);
+    });
+
+    visits.forEach(visit => {
+        if (!shiftDays.has(visit.dayNumber)) return;
+        result.checkedVisits++;
+
+        if (!visit.staff || isBlank(visit.item[STAFF_FIELD])) {
+            result.unstaffed.push({ reason: UNSTAFFED_REASONS.NO_STAFF, visit });
+            return;
+        }
+
+        const sameDay = shiftsByKey.get(`${visit.staff}\u0000${visit.dayNumber}`) || [];
+        // 前日からの夜勤が訪問の時間帯を含む場合もある
+        const previousNight = (shiftsByKey.get(`${visit.staff}\u0000${visit.dayNumber - 1}`) || [])
+            .filter(shift => !shift.dayOff && shift.interval && visit.interval && isWithin(visit, shift));
+
+        const working = [...sameDay.filter(shift => !shift.dayOff), ...previousNight];
+        const covering = working.find(shift => isWithin(visit, shift));
+
+        if (covering) {
+            covering.visits++;
+            return;
+        }
+
+        const dayOff = sameDay.find(shift => shift.dayOff);
+        if (dayOff && working.length === 0) {
+            result.conflicts.push({ type: CONFLICT_TYPES.DAY_OFF, visit, shift: dayOff });
+        } else if (working.length > 0) {
+            result.conflicts.push({ type: CONFLICT_TYPES.OUTSIDE_SHIFT, visit, shift: working[0] });
+        } else {
+            result.unstaffed.push({ reason: UNSTAFFED_REASONS.NO_SHIFT, visit });
+        }
+    });
+
+    // 訪問記録のある日だけ、訪問のないシフトを探す
+    const visitDays = new Set(visits.map(visit => visit.dayNumber));
+    result.idleShifts = shifts.filter(shift => !shift.dayOff && shift.visits === 0 && shift.staff && visitDays.has(shift.dayNumber));
+
+    const byDate = (a, b) => a.date.localeCompare(b.date) || a.staff.localeCompare(b.staff, 'ja');
+    result.conflicts.sort((a, b) => byDate(a.visit, b.visit));
+    result.unstaffed.sort((a, b) => byDate(a.visit, b.visit));
+    result.idleShifts.sort(byDate);
+    return result;
+}
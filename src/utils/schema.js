@@ -0,0 +1,394 @@
+/**
+ * 列スキーマ推定ユーティリティ
+ * ヘッダー名と値から各列の型（日付・時刻・時間帯・数値・選択肢）を推定する
+ */
+
+export const COLUMN_TYPES = {
+    DATE: 'date',             // 2026-02-03
+    DATETIME: 'datetime',     // 2026/2/3 10:05:00
+    TIME: 'time',             // 07:00
+    TIME_RANGE: 'timeRange',  // 10:00-11:00
+    NUMBER: 'number',
+    ENUM: 'enum',             // 完了 / 済 / 未 など
+    TEXT: 'text',
+};
+
+export const COLUMN_TYPE_LABELS = {
+    [COLUMN_TYPES.DATE]: '日付',
+    [COLUMN_TYPES.DATETIME]: '日時',
+    [COLUMN_TYPES.TIME]: '時刻',
+    [COLUMN_TYPES.TIME_RANGE]: '時間帯',
+    [COLUMN_TYPES.NUMBER]: '数値',
+    [COLUMN_TYPES.ENUM]: '選択肢',
+    [COLUMN_TYPES.TEXT]: 'テキスト',
+};
+
+// 選択肢の列（既知の値）
+export const KNOWN_ENUM_VALUES = {
+    '実績': ['完了', '未完了', 'キャンセル'],
+    '請求': ['済', '未'],
+    'シフト': ['早番', '日勤', '遅番', '夜勤', '休み'],
+};
+
+// 値が空のときに使うヘッダー名からの推定
+const HEADER_HINTS = [
+    { type: COLUMN_TYPES.DATETIME, keywords: ['日時', 'datetime'] },
+    { type: COLUMN_TYPES.DATE, keywords: ['日付', 'date', '作成日'] },
+    { type: COLUMN_TYPES.TIME, keywords: ['開始', '終了', '時刻'] },
+    { type: COLUMN_TYPES.TIME_RANGE, keywords: ['時間'] },
+    { type: COLUMN_TYPES.NUMBER, keywords: ['金額', '単価', '件数', '回数'] },
+];
+
+// 人名や自由記述の列は値が少なくても選択肢として扱わない
+const TEXT_HEADERS = ['利用者', 'スタッフ', '氏名', '名前', '備考', 'テキスト', 'メモ'];
+const ENUM_HEADERS = ['状態', 'ステータス', '区分', '種別'];
+
+const ENUM_MAX_VALUES = 12;
+const MATCH_THRESHOLD = 0.9; // 型と判定する一致率
+const SAMPLE_SIZE = 500;     // 推定に使う行数
+
+// 未入力を表す値 (シフト表の "-" など)
+const PLACEHOLDERS = ['-', 'ー', '―', '−', '－'];
+
+const schemaCache = new WeakMap();
+
+/**
+ * 未入力の値か判定
+ * @param {*} value - セルの値
+ * @returns {boolean}
+ */
+export function isBlank(value) {
+    if (value === null || value === undefined) return true;
+    const text = String(value).trim();
+    return text === '' || PLACEHOLDERS.includes(text);
+}
+
+/**
+ * 日付の値をDateに変換
+ * YYYY-MM-DD / YYYY/M/D / YYYY年M月D日 形式はローカル時刻として扱う
+ * @param {*} value - 日付の値
+ * @returns {Date|null} - 変換後の日付（変換できない場合はnull）
+ */
+export function parseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    const text = String(value).trim();
+    const match = text.match(/^(\d{4})(?:[-/.]|年)(\d{1,2})(?:[-/.]|月)(\d{1,2})日?(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+        const date = new Date(year, month - 1, day, hour, minute, second);
+        // 2026/13/45 のような存在しない日付は繰り上げずに読めないものとする
+        return date.getMonth() === month - 1 && date.getDate() === Number(day) ? date : null;
+    }
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 日付をキー文字列 (YYYY-MM-DD) に変換
+ * @param {Date} date - 日付
+ * @returns {string} - 日付キー
+ */
+export function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 入力された日付を変換（年を省略した 2/1・2月1日 形式は今年として扱う）
+ * @param {*} value - 入力値
+ * @param {Date} referenceDate - 年を補う基準日
+ * @returns {Date|null} - 変換後の日付（変換できない場合はnull）
+ */
+export function parseDateInput(value, referenceDate = new Date()) {
+    if (isBlank(value)) return null;
+    if (isDateLike(value)) return parseDate(value);
+
+    const match = String(value).trim().match(/^(\d{1,2})(?:[-/.]|月)(\d{1,2})日?$/);
+    if (!match) return null;
+
+    const date = new Date(referenceDate.getFullYear(), Number(match[1]) - 1, Number(match[2]));
+    return date.getMonth() === Number(match[1]) - 1 ? date : null;
+}
+
+/**
+ * 時刻 (H:mm / H:mm:ss) を0時からの分数に変換
+ * @param {*} value - 時刻の値
+ * @returns {number|null} - 分数（変換できない場合はnull）
+ */
+export function parseTime(value) {
+    if (isBlank(value)) return null;
+
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+    if (!match) return null;
+
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    if (hour > 48 || minute > 59) return null;
+
+    return hour * 60 + minute;
+}
+
+/**
+ * 時間帯 (10:00-11:00) を開始・終了の分数に変換
+ * @param {*} value - 時間帯の値
+ * @returns {{start: number, end: number}|null} - 分数（変換できない場合はnull）
+ */
+export function parseTimeRange(value) {
+    if (isBlank(value)) return null;
+
+    const parts = String(value).trim().split(/\s*[-~〜～–—]\s*/);
+    if (parts.length !== 2) return null;
+
+    const start = parseTime(parts[0]);
+    const end = parseTime(parts[1]);
+    if (start === null || end === null) return null;
+
+    return { start, end };
+}
+
+/**
+ * 分数を H:mm 形式に変換
+ * @param {number} minutes - 0時からの分数
+ * @returns {string} - 時刻
+ */
+export function formatMinutes(minutes) {
+    const hour = Math.floor(minutes / 60);
+    const minute = String(minutes % 60).padStart(2, '0');
+    return `${String(hour).padStart(2, '0')}:${minute}`;
+}
+
+/**
+ * GASがJSONに変換した日付 (ISO形式のUTC文字列) を読みやすい形に戻す
+ * 時刻だけのセルは 1899-12-30 の日付になるため時刻 (HH:mm) にする
+ * @param {*} value - セルの値
+ * @returns {*} - 正規化した値
+ */
+export function normalizeCellValue(value) {
+    let date = null;
+    if (value instanceof Date) {
+        date = value;
+    } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(value)) {
+        date = new Date(value);
+    }
+    if (!date || isNaN(date.getTime())) return value;
+
+    const time = formatMinutes(date.getHours() * 60 + date.getMinutes());
+    if (date.getFullYear() === 1899 && date.getMonth() === 11 && date.getDate() === 30) {
+        return time;
+    }
+    if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) {
+        return toDateKey(date);
+    }
+    return `${toDateKey(date)} ${time}`;
+}
+
+/**
+ * 入力値が列の型に合っているか検証（空欄は許可）
+ * @param {*} value - 入力値
+ * @param {Object} column - 列スキーマ
+ * @returns {string|null} - エラーメッセージ（問題なければnull）
+ */
+export function validateValue(value, column) {
+    if (isBlank(value) || !column) return null;
+    const text = String(value).trim();
+
+    switch (column.type) {
+        case COLUMN_TYPES.DATE:
+        case COLUMN_TYPES.DATETIME:
+            return parseDate(text) ? null : `「${text}」を日付として読めません（例: 2026/02/03）`;
+        case COLUMN_TYPES.TIME:
+            return parseTime(text) !== null ? null : `「${text}」を時刻として読めません（例: 10:00）`;
+        case COLUMN_TYPES.TIME_RANGE:
+            return parseTimeRange(text) ? null : `「${text}」を時間帯として読めません（例: 10:00-11:00）`;
+        case COLUMN_TYPES.NUMBER:
+            return isNumberLike(text) ? null : `「${text}」は数値ではありません`;
+        case COLUMN_TYPES.ENUM:
+            return !column.known || column.known.includes(text) ? null : `${column.known.join('・')} のいずれかを入力してください`;
+        default:
+            return null;
+    }
+}
+
+function isDateLike(value) {
+    return /^\d{4}(?:[-/.]|年)\d{1,2}/.test(String(value).trim()) && parseDate(value) !== null;
+}
+
+function isNumberLike(value) {
+    const text = String(value).trim().replace(/,/g, '');
+    return text !== '' && Number.isFinite(Number(text));
+}
+
+function matchesHeader(header, keywords) {
+    const lower = String(header).toLowerCase();
+    return keywords.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+/**
+ * 列の型を推定
+ * @param {string} header - ヘッダー名
+ * @param {Array} values - 列の値
+ * @returns {Object} - { type, values?, known? }（選択肢の列は値の一覧を持つ）
+ */
+export function inferColumnType(header, values) {
+    const filled = values.filter(value => !isBlank(value)).map(value => String(value).trim());
+    const knownValues = KNOWN_ENUM_VALUES[header] || null;
+
+    if (filled.length === 0) {
+        if (knownValues) return { type: COLUMN_TYPES.ENUM, values: [...knownValues], known: knownValues };
+        const hint = HEADER_HINTS.find(({ keywords }) => matchesHeader(header, keywords));
+        return { type: hint ? hint.type : COLUMN_TYPES.TEXT };
+    }
+
+    const ratio = (predicate) => filled.filter(predicate).length / filled.length;
+
+    if (ratio(value => parseTimeRange(value) !== null) >= MATCH_THRESHOLD) {
+        return { type: COLUMN_TYPES.TIME_RANGE };
+    }
+    if (ratio(isDateLike) >= MATCH_THRESHOLD) {
+        const hasTime = filled.some(value => /\d{1,2}:\d{2}/.test(value));
+        return { type: hasTime ? COLUMN_TYPES.DATETIME : COLUMN_TYPES.DATE };
+    }
+    if (ratio(value => parseTime(value) !== null) >= MATCH_THRESHOLD) {
+        return { type: COLUMN_TYPES.TIME };
+    }
+    if (ratio(isNumberLike) >= MATCH_THRESHOLD) {
+        return { type: COLUMN_TYPES.NUMBER };
+    }
+
+    const distinct = [...new Set(filled)];
+    const isEnum = knownValues
+        || (!matchesHeader(header, TEXT_HEADERS) && distinct.length <= ENUM_MAX_VALUES && (
+            matchesHeader(header, ENUM_HEADERS)
+            || Object.values(KNOWN_ENUM_VALUES).some(known => distinct.every(value => known.includes(value)))
+        ));
+
+    if (isEnum) {
+        const ordered = knownValues
+            ? [...knownValues, ...distinct.filter(value => !knownValues.includes(value))]
+            : distinct.sort((a, b) => a.localeCompare(b, 'ja'));
+        return { type: COLUMN_TYPES.ENUM, values: ordered, known: knownValues };
+    }
+
+    return { type: COLUMN_TYPES.TEXT };
+}
+
+/**
+ * データ全体の列スキーマを推定
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @returns {Object} - 列名をキーとした { type, values?, known? }
+ */
+export function inferSchema(data) {
+    if (!data || data.length === 0) return {};
+
+    const sample = data.slice(0, SAMPLE_SIZE);
+    const columns = Object.keys(data[0]);
+    const schema = {};
+
+    columns.forEach(column => {
+        schema[column] = inferColumnType(column, sample.map(item => item[column]));
+    });
+
+    return schema;
+}
+
+/**
+ * データの列スキーマを取得（同じ配列は推定結果を再利用）
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @returns {Object} - 列スキーマ
+ */
+export function getSchema(data) {
+    if (!Array.isArray(data)) return {};
+
+    if (!schemaCache.has(data)) {
+        schemaCache.set(data, inferSchema(data));
+    }
+    return schemaCache.get(data);
+}
+
+/**
+ * 指定した型の列を探す
+ * @param {Object} schema - 列スキーマ
+ * @param {Array<string>} types - 型の候補
+ * @returns {string|undefined} - 最初に見つかった列名
+ */
+export function findColumnByType(schema, types) {
+    return Object.keys(schema || {}).find(column => types.includes(schema[column].type));
+}
+
+/**
+ * 型に応じた比較用の値に変換
+ * @param {*} value - セルの値
+ * @param {Object} column - 列スキーマ
+ * @returns {number|string|null} - 比較用の値（未入力はnull）
+ */
+export function toComparable(value, column) {
+    if (isBlank(value)) return null;
+
+    switch (column?.type) {
+        case COLUMN_TYPES.DATE:
+        case COLUMN_TYPES.DATETIME:
+            return parseDate(value)?.getTime() ?? String(value);
+        case COLUMN_TYPES.TIME:
+            return parseTime(value) ?? String(value);
+        case COLUMN_TYPES.TIME_RANGE:
+            return parseTimeRange(value)?.start ?? String(value);
+        case COLUMN_TYPES.NUMBER:
+            return isNumberLike(value) ? Number(String(value).replace(/,/g, '')) : String(value);
+        case COLUMN_TYPES.ENUM: {
+            // 既知の選択肢は定義順に並べる
+            const index = column.known ? column.known.indexOf(String(value).trim()) : -1;
+            return index >= 0 ? index : String(value);
+        }
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * 型に応じてセルの値が条件に一致するか判定
+ * 日付は表記が違っても同じ日なら一致、時間帯は範囲内の時刻なら一致する
+ * @param {*} value - セルの値
+ * @param {string} condition - 条件の値
+ * @param {Object} column - 列スキーマ
+ * @returns {boolean}
+ */
+export function matchesValue(value, condition, column) {
+    const text = String(value ?? '').toLowerCase();
+    const target = String(condition).trim().toLowerCase();
+    const contains = text.includes(target);
+
+    switch (column?.type) {
+        case COLUMN_TYPES.DATE:
+        case COLUMN_TYPES.DATETIME: {
+            const date = parseDate(value);
+            const targetDate = parseDateInput(condition);
+            return date && targetDate ? toDateKey(date) === toDateKey(targetDate) : contains;
+        }
+        case COLUMN_TYPES.TIME: {
+            const time = parseTime(value);
+            const targetTime = parseTime(condition);
+            return time !== null && targetTime !== null ? time === targetTime : contains;
+        }
+        case COLUMN_TYPES.TIME_RANGE: {
+            const range = parseTimeRange(value);
+            const targetTime = parseTime(condition);
+            if (!range || targetTime === null) return contains;
+            // 日をまたぐ時間帯 (22:00-06:00) にも対応
+            return range.start <= range.end
+                ? targetTime >= range.start && targetTime < range.end
+                : targetTime >= range.start || targetTime < range.end;
+        }
+        case COLUMN_TYPES.NUMBER:
+            return isNumberLike(value) && isNumberLike(condition)
+                ? Number(String(value).replace(/,/g, '')) === Number(String(condition).replace(/,/g, ''))
+                : contains;
+        case COLUMN_TYPES.ENUM:
+            return text.trim() === target;
+        default:
+            return contains;
+    }
+}
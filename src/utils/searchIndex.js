@@ -0,0 +1,157 @@
+/**
+ * 検索インデックス
+ * 全角・半角、ひらがな・カタカナ、空白の有無、日付の書き方（2026/2/3 と 2026-02-03）の違いを吸収して検索する
+ *
+ * 検索語の書き方:
+ * - 空白区切りの複数の語はすべてを含む行（AND）
+ * - 「列名:値」でその列だけを検索（例: 利用者:さとう 請求:未）
+ * - "..." で囲むと空白を含む語を1語として扱う
+ */
+
+import { COLUMN_TYPES, getSchema, parseDate, toDateKey } from './schema.js';
+
+// セル同士をまたいで一致しないように挟む区切り文字
+const CELL_SEPARATOR = '\u0001';
+
+// 日付として扱う検索語（年あり / 年なし）
+const FULL_DATE_PATTERN = /^(\d{4})(?:[-/.]|年)(\d{1,2})(?:(?:[-/.]|月)(\d{1,2})日?|月)?$/;
+const MONTH_DAY_PATTERN = /^(\d{1,2})(?:[-/.]|月)(\d{1,2})日?$/;
+
+const indexCache = new WeakMap();
+
+/**
+ * 検索用に文字列を正規化
+ * NFKC（全角英数・半角カナを統一）→ 小文字 → カタカナをひらがなに → 空白を除去
+ * @param {*} value - 対象の値
+ * @returns {string} - 正規化した文字列
+ */
+export function normalizeText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+        .replace(/\s+/g, '');
+}
+
+/**
+ * 日付の検索語を日付キーの形（YYYY-MM-DD の一部）に変換
+ * 2026/2/3 → 2026-02-03、2026年2月 → 2026-02、2/3 → -02-03（年を問わない）
+ * @param {string} term - 正規化した検索語
+ * @returns {string|null} - 日付キーの一部（日付でない場合はnull）
+ */
+function toDateTerm(term) {
+    const full = term.match(FULL_DATE_PATTERN);
+    if (full) {
+        const [, year, month, day] = full;
+        const key = `${year}-${month.padStart(2, '0')}`;
+        return day ? `${key}-${day.padStart(2, '0')}` : key;
+    }
+
+    const monthDay = term.match(MONTH_DAY_PATTERN);
+    if (monthDay) {
+        return `-${monthDay[1].padStart(2, '0')}-${monthDay[2].padStart(2, '0')}`;
+    }
+    return null;
+}
+
+/**
+ * セルの値を検索用の文字列に変換（日付の列は日付キーも加える）
+ */
+function toIndexText(value, column) {
+    const text = normalizeText(value);
+    if (column?.type !== COLUMN_TYPES.DATE && column?.type !== COLUMN_TYPES.DATETIME) return text;
+
+    const date = parseDate(value);
+    return date ? `${text} ${toDateKey(date)}` : text;
+}
+
+/**
+ * 検索インデックスを作成
+ * 行ごとに正規化済みの列の文字列と、全列をつないだ文字列を持つ
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @param {Object} schema - 列スキーマ（省略時はデータから推定）
+ * @returns {Object} - { fields, rows: [{ item, columns, all }] }
+ */
+export function buildSearchIndex(data, schema = getSchema(data)) {
+    const fields = data.length > 0 ? Object.keys(data[0]) : [];
+
+    const rows = data.map(item => {
+        const columns = {};
+        Object.keys(item).forEach(field => {
+            columns[field] = toIndexText(item[field], schema[field]);
+        });
+        return { item, columns, all: Object.values(columns).join(CELL_SEPARATOR) };
+    });
+
+    return { fields, rows };
+}
+
+/**
+ * データの検索インデックスを取得（同じ配列は作成済みのインデックスを再利用）
+ * @param {Array<Object>} data - 行オブジェクトの配列
+ * @returns {Object} - 検索インデックス
+ */
+export function getSearchIndex(data) {
+    if (!indexCache.has(data)) {
+        indexCache.set(data, buildSearchIndex(data));
+    }
+    return indexCache.get(data);
+}
+
+/**
+ * 検索語を解析
+ * @param {string} query - 検索語
+ * @param {Array<string>} fields - 列名（「列名:値」の判定に使う）
+ * @returns {Array<Object>} - { field, value, date } の配列（field が null なら全列）
+ */
+export function parseSearchQuery(query, fields = []) {
+    const normalizedFields = fields.map(field => ({ field, key: normalizeText(field) }));
+    const terms = [];
+
+    // 引用符で囲んだ部分は1語、それ以外は空白で区切る
+    const parts = String(query ?? '').normalize('NFKC').match(/"[^"]*"|[^\s"]+/g) || [];
+
+    parts.forEach(part => {
+        let field = null;
+        let text = part.replace(/^"|"$/g, '');
+
+        const separator = text.indexOf(':');
+        if (separator > 0) {
+            const key = normalizeText(text.slice(0, separator));
+            // 完全一致を優先し、なければ前方一致（「利用」→「利用者」）
+            const match = normalizedFields.find(f => f.key === key)
+                || normalizedFields.find(f => f.key.startsWith(key));
+            if (match) {
+                field = match.field;
+                text = text.slice(separator + 1);
+            }
+        }
+
+        const value = normalizeText(text);
+        if (value === '') return;
+        terms.push({ field, value, date: toDateTerm(value) });
+    });
+
+    return terms;
+}
+
+function matchesTerm(text, term) {
+    return text.includes(term.value) || (term.date !== null && text.includes(term.date));
+}
+
+/**
+ * インデックスを使って検索
+ * @param {Array<Object>} data - 検索対象データ
+ * @param {string} query - 検索語
+ * @returns {Array<Object>} - すべての検索語に一致する行
+ */
+export function searchIndex(data, query) {
+    const index = getSearchIndex(data);
+    const terms = parseSearchQuery(query, index.fields);
+    if (terms.length === 0) return data;
+
+    return index.rows
+        .filter(row => terms.every(term => matchesTerm(term.field ? row.columns[term.field] ?? '' : row.all, term)))
+        .map(row => row.item);
+}
@@ -0,0 +1,123 @@
+/**
+ * タイムライン生成ユーティリティ
+ * 全シートの行とローカルメモを日時順に並べ、日ごとにグループ化
+ */
+
+import { findDateField } from './dataProcessor.js';
+import { parseDate, toDateKey } from './schema.js';
+
+// 開始時刻を持つフィールド (例: 時間 "10:00-11:00", 開始 "07:00")
+const TIME_FIELDS = ['時間', '開始', '時刻', 'time'];
+
+/**
+ * 行から開始時刻 (HH:MM) を取り出す
+ * @param {Object} item - 行データ
+ * @returns {string|null} - 開始時刻
+ */
+function extractStartTime(item) {
+    const timeField = Object.keys(item).find(key =>
+        TIME_FIELDS.some(field => key.toLowerCase().includes(field.toLowerCase()))
+    );
+    if (!timeField) return null;
+
+    const match = String(item[timeField] || '').match(/(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * 日時と開始時刻を組み合わせる
+ * @param {Date} date - 日付
+ * @param {string|null} time - 開始時刻 (HH:MM)
+ * @returns {Date} - 組み合わせた日時
+ */
+function combineDateTime(date, time) {
+    if (!time) return date;
+
+    const [hour, minute] = time.split(':').map(Number);
+    const combined = new Date(date);
+    combined.setHours(hour, minute, 0, 0);
+    return combined;
+}
+
+/**
+ * メモをタイムライン表示用の行データに変換
+ * @param {Object} memo - メモオブジェクト
+ * @returns {Object} - 行データ
+ */
+export function memoToRow(memo) {
+    return {
+        '作成日時': new Date(memo.createdAt).toLocaleString('ja-JP'),
+        'テキスト内容': memo.text || '(テキストなし)',
+        '転記': memo.exportedToSheets ? '済' : '未',
+    };
+}
+
+/**
+ * タイムラインのエントリー一覧を作成
+ * @param {Object} sheetsData - シート名をキーとしたデータオブジェクト
+ * @param {Array} memos - ローカルメモの配列
+ * @returns {Array<Object>} - 日時の新しい順に並んだエントリー
+ */
+export function buildTimelineEntries(sheetsData, memos = []) {
+    const entries = [];
+
+    Object.entries(sheetsData || {}).forEach(([sheetName, rows]) => {
+        const dateField = findDateField(rows);
+        if (!dateField) return;
+
+        rows.forEach(item => {
+            const date = parseDate(item[dateField]);
+            if (!date) return;
+
+            const time = extractStartTime(item);
+            entries.push({
+                source: sheetName,
+                item,
+                time,
+                dateTime: combineDateTime(date, time),
+            });
+        });
+    });
+
+    memos.forEach(memo => {
+        const dateTime = new Date(memo.createdAt);
+        if (isNaN(dateTime.getTime())) return;
+
+        entries.push({
+            source: '手書きメモ',
+            item: memoToRow(memo),
+            memoId: memo.id,
+            time: dateTime.toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' }),
+            dateTime,
+        });
+    });
+
+    return entries.sort((a, b) => b.dateTime - a.dateTime);
+}
+
+/**
+ * エントリーを日ごとにグループ化
+ * 日付は新しい順、同じ日の中は時刻の早い順に並べる
+ * @param {Array<Object>} entries - buildTimelineEntries() の結果
+ * @returns {Array<{date: string, entries: Array}>} - 日ごとのグループ
+ */
+export function groupEntriesByDay(entries) {
+    const groups = new Map();
+
+    entries.forEach(entry => {
+        const key = toDateKey(entry.dateTime);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+
+    return Array.from(groups.entries()).map(([date, dayEntries]) => ({
+        date,
+        entries: dayEntries.sort((a, b) => {
+            // 時刻のないエントリーはその日の先頭に表示
+            if (!a.time !== !b.time) return a.time ? 1 : -1;
+            return a.dateTime - b.dateTime;
+        }),
+    }));
+}